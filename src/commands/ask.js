@@ -0,0 +1,84 @@
+import {
+  getProjectDetails, getStatusField, getProjectItems, projectBoardUrl,
+  boardVocabulary, queryProjectItems, formatBoardQuery, describeExtraConditions
+} from '../utils/github-utils.js';
+import { translateBoardQuery, summarizeBoardAnswer } from '../utils/openai-utils.js';
+import { githubLinkStore } from '../utils/github-auth.js';
+import { trackGeneration } from '../utils/usage-store.js';
+import { replyWithIssuePages } from '../utils/discord-utils.js';
+import { logger } from '../utils/logger.js';
+
+export const data = {
+  name: 'ask',
+  description: 'Ask a question about the project board in plain language',
+  options: [{
+    name: 'question',
+    type: 3,
+    description: 'e.g. "Which perf bugs are still in Backlog?"',
+    required: true
+  }]
+};
+
+const truncate = (text, limit) => text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+
+// Mentions of members who ran /link-github become their GitHub logins, so "@alice" finds her issues
+async function resolveMentions(question) {
+  let resolved = question;
+  for (const [mention, discordUserId] of question.matchAll(/<@!?(\d+)>/g)) {
+    const link = await githubLinkStore.get(discordUserId);
+    if (link) resolved = resolved.replaceAll(mention, `@${link.login}`);
+  }
+  return resolved;
+}
+
+export async function execute(interaction, { config, target }) {
+  // Walking every project page and two LLM calls outlast the 3s reply window
+  await interaction.deferReply();
+
+  const question = await resolveMentions(interaction.options.getString('question'));
+  const projectId = await getProjectDetails(target);
+  const statusField = await getStatusField(projectId);
+  const items = await getProjectItems(projectId);
+
+  const scope = { guildId: interaction.guildId, userId: interaction.user.id };
+  const llmOptions = { ...config, guildId: interaction.guildId };
+
+  const query = await translateBoardQuery(question, boardVocabulary(items, statusField), {
+    ...llmOptions,
+    onUsage: trackGeneration(scope)
+  });
+  const matches = queryProjectItems(items, query);
+  logger.info(`Board question matched ${matches.length} of ${items.length} items`, { query });
+
+  // The summary answers the same question, so it spends tokens without counting as another generation
+  let summary = 'No issues on the board match this question.';
+  if (matches.length) {
+    try {
+      summary = await summarizeBoardAnswer(question, matches, {
+        ...llmOptions,
+        onUsage: trackGeneration(scope, { generations: 0 })
+      });
+    } catch (error) {
+      logger.warn('Board answer summary failed', { error });
+      summary = `${matches.length} matching issue${matches.length === 1 ? '' : 's'}.`;
+    }
+  }
+
+  // Keywords and time in a column have no board filter qualifier, so they're listed under the filter
+  const filter = formatBoardQuery(query);
+  const extraConditions = describeExtraConditions(query);
+  const reading = [
+    filter ? `\`\`\`\n${truncate(filter, 300)}\n\`\`\`` : 'Every item on the board',
+    ...(extraConditions.length ? [`Also: ${truncate(extraConditions.join('; '), 300)}`] : [])
+  ].join('\n');
+
+  await replyWithIssuePages(interaction, matches, {
+    content: [
+      `❓ **${truncate(interaction.options.getString('question'), 200)}**`,
+      truncate(summary, 1200),
+      `🔎 ${truncate(query.explanation || 'Board query', 200)}:\n${reading}`
+    ].join('\n\n'),
+    title: 'Matching Issues',
+    boardUrl: projectBoardUrl(target)
+  });
+}
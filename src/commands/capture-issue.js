@@ -0,0 +1,48 @@
+import { MessageFlags } from 'discord.js';
+import {
+  captureIssue, captureOptions, fetchMessageRange, fetchThreadMessages, parseMessageReference
+} from '../flows/capture-issue.js';
+
+export const data = {
+  name: 'capture-issue',
+  description: 'Create issues from messages already posted in this thread or channel',
+  options: [{
+    name: 'from',
+    type: 3,
+    description: 'Link or ID of the first message (default: the whole thread)',
+    required: false
+  }, {
+    name: 'to',
+    type: 3,
+    description: 'Link or ID of the last message (default: the latest)',
+    required: false
+  }]
+};
+
+export async function execute(interaction, { client, config }) {
+  const from = interaction.options.getString('from');
+  const to = interaction.options.getString('to');
+  const channel = interaction.channel ?? await client.channels.fetch(interaction.channelId);
+
+  if (!from && !channel.isThread()) {
+    return interaction.reply({
+      content: '❌ Run this in a thread, or give the first message with `from`.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  let messages;
+  if (from) {
+    const firstId = parseMessageReference(from, channel.id);
+    const lastId = to ? parseMessageReference(to, channel.id) : null;
+    // Message IDs are snowflakes, so they sort by time
+    if (lastId && BigInt(lastId) < BigInt(firstId)) throw new Error('`to` must come after `from`');
+    messages = await fetchMessageRange(channel, firstId, lastId);
+  } else {
+    messages = await fetchThreadMessages(channel);
+  }
+
+  await captureIssue(channel, messages, captureOptions(interaction, config));
+}
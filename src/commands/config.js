@@ -0,0 +1,117 @@
+import { EmbedBuilder, MessageFlags, PermissionFlagsBits } from 'discord.js';
+import { configScope, CONFIG_KEYS } from '../utils/config-store.js';
+import { logger } from '../utils/logger.js';
+
+const configKeyOption = {
+  name: 'key',
+  type: 3,
+  description: 'Setting to change',
+  required: true,
+  choices: Object.entries(CONFIG_KEYS).map(([key, { description }]) => ({
+    name: `${key} — ${description}`.slice(0, 100),
+    value: key
+  }))
+};
+
+const configScopeOption = {
+  name: 'scope',
+  type: 3,
+  description: 'Apply to the whole server (default) or only this channel',
+  required: false,
+  choices: [
+    { name: 'server', value: 'guild' },
+    { name: 'this channel', value: 'channel' }
+  ]
+};
+
+const formatConfigEntry = v => v.repo ? `${v.repo}: ${v.description}`
+  : v.template ? `${v.emoji}=${v.template}`
+  : v.command ? `${v.command} ${v.effect} ${v.type === 'role' ? `<@&${v.id}>` : `<#${v.id}>`}`
+  : v;
+
+const formatConfigValue = value => Array.isArray(value)
+  ? value.map(formatConfigEntry).join(', ') || '—'
+  : value && typeof value === 'object'
+    ? Object.entries(value).map(([key, limit]) => `${key}=${limit}`).join(', ') || '—'
+    : value ?? '—';
+
+export const data = {
+  name: 'config',
+  description: 'View or change bot settings for this server or channel',
+  default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+  dm_permission: false,
+  options: [{
+    name: 'show',
+    type: 1,  // SUB_COMMAND type
+    description: 'Show the settings in effect here'
+  }, {
+    name: 'set',
+    type: 1,
+    description: 'Change a setting',
+    options: [configKeyOption, {
+      name: 'value',
+      type: 3,
+      description: 'New value',
+      required: true
+    }, configScopeOption]
+  }, {
+    name: 'unset',
+    type: 1,
+    description: 'Reset a setting to the inherited value',
+    options: [configKeyOption, configScopeOption]
+  }]
+};
+
+export async function execute(interaction, { config, configStore }) {
+  const subcommand = interaction.options.getSubcommand();
+  const { guildId, channelId } = configScope(interaction.channel);
+  const scopeChannelId = interaction.options.getString('scope') === 'channel' ? channelId : null;
+  const scopeName = scopeChannelId ? `<#${scopeChannelId}>` : 'this server';
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (subcommand === 'show') {
+    const guildSettings = await configStore.get(guildId);
+    const channelSettings = await configStore.get(guildId, channelId);
+    const source = key => key in channelSettings ? 'channel' : key in guildSettings ? 'server' : 'default';
+
+    const configEmbed = new EmbedBuilder()
+      .setTitle('⚙️ Bot Configuration')
+      .setDescription(`Settings in effect for <#${channelId}>`)
+      .setColor('#7289DA')
+      .addFields(Object.keys(CONFIG_KEYS).map(key => ({
+        name: `${key} (${source(key)})`,
+        value: String(['allowedRoles', 'triageRoles'].includes(key) && config[key].length
+          ? config[key].map(id => `<@&${id}>`).join(', ')
+          : formatConfigValue(config[key])).slice(0, 1024),
+        inline: true
+      })));
+
+    return interaction.editReply({ embeds: [configEmbed] });
+  }
+
+  const key = interaction.options.getString('key');
+
+  if (subcommand === 'unset') {
+    await configStore.unset(guildId, scopeChannelId, key);
+    return interaction.editReply(`✅ Reset \`${key}\` for ${scopeName}`);
+  }
+
+  // Validate against the settings the new value will be combined with
+  const scopeConfig = scopeChannelId
+    ? config
+    : { ...config, ...(await configStore.get(guildId)) };
+
+  try {
+    const value = await CONFIG_KEYS[key].parse(interaction.options.getString('value'), {
+      guild: interaction.guild,
+      channelId: scopeChannelId,
+      config: scopeConfig
+    });
+    await configStore.set(guildId, scopeChannelId, key, value);
+    return interaction.editReply(`✅ Set \`${key}\` to \`${formatConfigValue(value)}\` for ${scopeName}`);
+  } catch (error) {
+    logger.warn(`Rejected config value for ${key}: ${error.message}`);
+    return interaction.editReply(`❌ Invalid value for \`${key}\`: ${error.message}`);
+  }
+}
@@ -0,0 +1,13 @@
+import { MessageFlags } from 'discord.js';
+import { captureIssue, captureOptions, fetchMessageRange } from '../flows/capture-issue.js';
+
+export const data = {
+  name: 'Create GitHub issue from here',
+  type: 3
+};
+
+export async function execute(interaction, { client, config }) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  const channel = interaction.channel ?? await client.channels.fetch(interaction.channelId);
+  await captureIssue(channel, await fetchMessageRange(channel, interaction.targetId), captureOptions(interaction, config));
+}
@@ -0,0 +1,14 @@
+import { MessageFlags } from 'discord.js';
+import { captureIssue, captureOptions } from '../flows/capture-issue.js';
+
+export const data = {
+  name: 'Create GitHub issue',
+  type: 3  // MESSAGE context menu
+};
+
+export async function execute(interaction, { client, config }) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  // DM channels aren't always cached
+  const channel = interaction.channel ?? await client.channels.fetch(interaction.channelId);
+  await captureIssue(channel, [interaction.targetMessage], captureOptions(interaction, config));
+}
@@ -0,0 +1,80 @@
+import { ChannelType, MessageFlags } from 'discord.js';
+import { startIssueSession } from '../flows/create-issue.js';
+
+export const data = {
+  name: 'create-issue',
+  description: 'Start a new GitHub issue creation flow',
+  options: [{
+    name: 'preview',
+    type: 5,  // BOOLEAN type
+    description: 'Show preview before creating',
+    required: false
+  }, {
+    name: 'interview',
+    type: 5,
+    description: 'Let the AI ask follow-up questions before drafting',
+    required: false
+  }]
+};
+
+export async function execute(interaction, { client, config }) {
+  const wantsPreview = interaction.options.getBoolean('preview') ?? false;
+  const wantsInterview = interaction.options.getBoolean('interview') ?? false;
+  const isDM = !interaction.guildId || interaction.channel?.type === ChannelType.DM;
+  
+  if (!isDM && !interaction.channel?.isTextBased()) {
+    return interaction.reply({
+      content: '❌ This command only works in text channels and DMs!',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  let targetChannel = interaction.channel;
+  let thread = null;
+
+  if (!isDM) {
+    try {
+      thread = await interaction.channel.threads.create({
+        name: `Issue - ${interaction.user.username}`,
+        autoArchiveDuration: 60
+      });
+      targetChannel = thread;
+    } catch (error) {
+      return interaction.reply({
+        content: '❌ Failed to create thread!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+
+  // Initial response
+  await interaction.reply({
+    content: isDM 
+      ? `**Issue Creation Started**\nSend description/images then type \`!done\`${wantsInterview ? ', or wait for follow-up questions' : ''}`
+      : `Thread created: ${thread}`,
+    flags: isDM ? 0 : MessageFlags.Ephemeral
+  });
+
+  // Ensure we have a valid channel reference
+  const collectorChannel = isDM 
+    ? await client.channels.fetch(interaction.channelId)
+    : targetChannel;
+
+  if (!collectorChannel) {
+    return interaction.followUp({
+      content: '❌ Failed to start message collection!',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  await startIssueSession(collectorChannel, {
+    guildId: interaction.guildId,
+    userId: interaction.user.id,
+    username: interaction.user.username,
+    isDM,
+    createdThread: Boolean(thread),
+    wantsPreview,
+    wantsInterview,
+    config
+  });
+}
@@ -0,0 +1,14 @@
+import { configScope } from '../utils/config-store.js';
+import { postDigest } from '../flows/board-digest.js';
+
+export const data = {
+  name: 'digest',
+  description: 'Post a project board digest here now'
+};
+
+// Covers everything since the last digest in this channel, scheduled or not
+export async function execute(interaction, { config }) {
+  // Walking every project page can outlast the 3s reply window
+  await interaction.deferReply();
+  await postDigest(configScope(interaction.channel), config, message => interaction.editReply(message));
+}
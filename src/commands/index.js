@@ -0,0 +1,88 @@
+import { MessageFlags } from 'discord.js';
+import { configStore as defaultConfigStore, configScope, targetFromConfig } from '../utils/config-store.js';
+import { checkCommandAccess, checkCommandQuota } from '../utils/permissions.js';
+import { withCorrelation } from '../utils/correlation.js';
+import { commandsTotal, commandDuration } from '../utils/metrics.js';
+import { logger } from '../utils/logger.js';
+import * as createIssueCommand from './create-issue.js';
+import * as captureIssueCommand from './capture-issue.js';
+import * as createGitHubIssueCommand from './create-github-issue.js';
+import * as createGitHubIssueFromHereCommand from './create-github-issue-from-here.js';
+import * as listIssuesCommand from './list-issues.js';
+import * as digestCommand from './digest.js';
+import * as askCommand from './ask.js';
+import * as moveIssueCommand from './move-issue.js';
+import * as issueCommand from './issue.js';
+import * as configCommand from './config.js';
+import * as templateCommand from './template.js';
+import * as linkGitHubCommand from './link-github.js';
+import * as testCommand from './test.js';
+
+// Each command module exports its registration `data` and `execute(interaction, context)`
+export const commands = [
+  createIssueCommand,
+  captureIssueCommand,
+  createGitHubIssueCommand,
+  createGitHubIssueFromHereCommand,
+  listIssuesCommand,
+  digestCommand,
+  askCommand,
+  moveIssueCommand,
+  issueCommand,
+  configCommand,
+  templateCommand,
+  linkGitHubCommand,
+  testCommand
+];
+
+// Builds the interactionCreate listener; tests pass their own client, commands and config store
+export function createInteractionHandler({ client, commands: handlers = commands, configStore = defaultConfigStore }) {
+  const byName = new Map(handlers.map(command => [command.data.name, command]));
+
+  // Each interaction gets a correlation ID that its GitHub and LLM calls log under
+  return interaction => {
+    if (!interaction.isCommand()) return;
+
+    const command = byName.get(interaction.commandName);
+    if (!command) return;
+
+    return withCorrelation({
+      command: interaction.commandName,
+      guildId: interaction.guildId,
+      userId: interaction.user.id
+    }, () => runCommand(command, interaction));
+  };
+
+  async function runCommand(command, interaction) {
+    const stopTimer = commandDuration.startTimer({ command: interaction.commandName });
+    let outcome = 'ok';
+
+    try {
+      const config = await configStore.resolve(configScope(interaction.channel));
+      const target = targetFromConfig(config);
+
+      // Permission and quota checks run before any command logic
+      const refusal = checkCommandAccess(interaction, config) ?? await checkCommandQuota(interaction, config);
+      if (refusal) {
+        outcome = 'refused';
+        logger.info(`Refused /${interaction.commandName} for ${interaction.user.tag}: ${refusal}`);
+        return interaction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+      }
+
+      await command.execute(interaction, { client, config, target, configStore });
+    } catch (error) {
+      outcome = 'error';
+      logger.error('Command handling failed', { error });
+      const errorReply = {
+        content: `❌ Error: ${error.message}`,
+        flags: MessageFlags.Ephemeral
+      };
+      interaction.deferred || interaction.replied
+        ? await interaction.followUp(errorReply)
+        : await interaction.reply(errorReply);
+    } finally {
+      stopTimer();
+      commandsTotal.inc({ command: interaction.commandName, outcome });
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { MessageFlags } from 'discord.js';
+import { targetFromConfig } from '../utils/config-store.js';
+import { showIssue } from '../flows/issue-view.js';
+
+export const data = {
+  name: 'issue',
+  description: 'View and act on a single issue',
+  options: [{
+    name: 'number',
+    type: 4,
+    description: 'Issue number',
+    required: true
+  }, {
+    name: 'repo',
+    type: 3,
+    description: 'One of the configured repositories (owner/name), defaults to the main one',
+    required: false
+  }]
+};
+
+// Only repositories set up with /config can be reached, not everything the bot's token can see
+const configuredRepos = config => [config.repo, ...(config.repos ?? []).map(({ repo }) => repo)].filter(Boolean);
+
+export async function execute(interaction, { config, target }) {
+  const repoName = interaction.options.getString('repo')?.trim();
+  const repo = repoName && configuredRepos(config).find(name => name.toLowerCase() === repoName.toLowerCase());
+
+  if (repoName && !repo) {
+    return interaction.reply({
+      content: `❌ \`${repoName}\` isn't configured here. Use one of: ${configuredRepos(config).map(name => `\`${name}\``).join(', ') || 'none'}`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  await showIssue(
+    interaction,
+    interaction.options.getInteger('number'),
+    repo ? targetFromConfig(config, repo) : target
+  );
+}
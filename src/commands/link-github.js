@@ -0,0 +1,54 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { githubLinkingEnabled, linkGitHubAccount, unlinkGitHubAccount } from '../utils/github-auth.js';
+
+export const data = {
+  name: 'link-github',
+  description: 'Link your GitHub account so issues you report are created as you',
+  options: [{
+    name: 'unlink',
+    type: 5,
+    description: 'Remove the linked account instead',
+    required: false
+  }]
+};
+
+export async function execute(interaction) {
+  if (!githubLinkingEnabled()) {
+    return interaction.reply({
+      content: '❌ GitHub account linking isn\'t set up for this bot.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  if (interaction.options.getBoolean('unlink')) {
+    const unlinked = await unlinkGitHubAccount(interaction.user.id);
+    return interaction.reply({
+      content: unlinked
+        ? '✅ GitHub account unlinked. Issues you report will credit you in a footer instead.'
+        : 'ℹ️ You don\'t have a linked GitHub account.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  // Resolves once the code is entered on GitHub, or throws when it expires
+  const login = await linkGitHubAccount(interaction.user.id, {
+    onVerification: verification => interaction.editReply({
+      content: `🔗 Enter the code **\`${verification.user_code}\`** on GitHub within ${Math.round(verification.expires_in / 60)} minutes.`,
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setLabel('Open GitHub')
+            .setURL(verification.verification_uri)
+            .setStyle(ButtonStyle.Link)
+        )
+      ]
+    })
+  });
+
+  await interaction.editReply({
+    content: `✅ Linked to GitHub as **${login}**. Issues you report will be created from your account.`,
+    components: []
+  });
+}
@@ -0,0 +1,51 @@
+import { listOpenIssues, projectBoardUrl } from '../utils/github-utils.js';
+import { replyWithIssuePages } from '../utils/discord-utils.js';
+
+export const data = {
+  name: 'list-issues',
+  description: 'List open GitHub issues',
+  options: [{
+    name: 'assignee',
+    type: 3,
+    description: 'Filter by assignee',
+    required: false
+  }, {
+    name: 'status',
+    type: 3,
+    description: 'Filter by project board Status column',
+    required: false
+  }, {
+    name: 'label',
+    type: 3,
+    description: 'Filter by label',
+    required: false
+  }, {
+    name: 'milestone',
+    type: 3,
+    description: 'Filter by milestone title',
+    required: false
+  }]
+};
+
+export async function execute(interaction, { target }) {
+  const filters = {
+    assignee: interaction.options.getString('assignee'),
+    status: interaction.options.getString('status'),
+    label: interaction.options.getString('label'),
+    milestone: interaction.options.getString('milestone')
+  };
+
+  // Walking every project page can outlast the 3s reply window
+  await interaction.deferReply();
+
+  const sortedItems = await listOpenIssues(filters, target);
+  const activeFilters = Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: \`${value}\``)
+    .join(', ');
+
+  await replyWithIssuePages(interaction, sortedItems, {
+    content: `**Issues in Project** (${sortedItems.length} total)` + (activeFilters ? `\nFilters: ${activeFilters}` : ''),
+    boardUrl: projectBoardUrl(target)
+  });
+}
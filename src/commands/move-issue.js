@@ -0,0 +1,68 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, MessageFlags } from 'discord.js';
+import { getProjectDetails, getStatusField, moveIssueToStatus } from '../utils/github-utils.js';
+import { logger } from '../utils/logger.js';
+
+export const data = {
+  name: 'move-issue',
+  description: 'Move an issue to another project board column',
+  options: [{
+    name: 'number',
+    type: 4,  // INTEGER type
+    description: 'Issue number',
+    required: true
+  }]
+};
+
+export async function execute(interaction, { target }) {
+  const issueNumber = interaction.options.getInteger('number');
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const projectId = await getProjectDetails(target);
+  const statusField = await getStatusField(projectId);
+
+  if (!statusField?.options?.length) {
+    return interaction.editReply('❌ No Status field found on the project board!');
+  }
+
+  const statusMenu = new StringSelectMenuBuilder()
+    .setCustomId('move_issue_status')
+    .setPlaceholder('Choose a column')
+    .addOptions(statusField.options.slice(0, 25).map(option => ({
+      label: option.name,
+      value: option.id
+    })));
+
+  const menuMessage = await interaction.editReply({
+    content: `Move issue **#${issueNumber}** to:`,
+    components: [new ActionRowBuilder().addComponents(statusMenu)]
+  });
+
+  const menuCollector = menuMessage.createMessageComponentCollector({
+    filter: i => i.user.id === interaction.user.id && i.customId === 'move_issue_status',
+    time: 120_000, // 2 minutes
+    max: 1
+  });
+
+  menuCollector.on('collect', async menuInteraction => {
+    await menuInteraction.deferUpdate();
+
+    try {
+      const { issue, status, addedToBoard } = await moveIssueToStatus(issueNumber, menuInteraction.values[0], target);
+      await interaction.editReply({
+        content: `✅ Moved [#${issueNumber} ${issue.title}](${issue.url}) to **${status.name}**` +
+          (addedToBoard ? ' (added to the project board)' : ''),
+        components: []
+      });
+    } catch (error) {
+      logger.error('Move issue failed', { error });
+      await interaction.editReply({ content: `❌ Error: ${error.message}`, components: [] });
+    }
+  });
+
+  menuCollector.on('end', collected => {
+    if (collected.size === 0) {
+      interaction.editReply({ content: '⌛ Move canceled (no column selected)', components: [] })
+        .catch(error => logger.warn('Failed to clear status menu', { error }));
+    }
+  });
+}
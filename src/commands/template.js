@@ -0,0 +1,105 @@
+import {
+  ActionRowBuilder, EmbedBuilder, MessageFlags, ModalBuilder, PermissionFlagsBits, TextInputBuilder, TextInputStyle
+} from 'discord.js';
+import { resolveTemplates, markdownTemplate } from '../utils/template-utils.js';
+
+export const data = {
+  name: 'template',
+  description: 'Manage the issue templates the AI fills in',
+  default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+  dm_permission: false,
+  options: [{
+    name: 'list',
+    type: 1,
+    description: 'Show the repository and server templates'
+  }, {
+    name: 'add',
+    type: 1,
+    description: 'Add or replace a server template'
+  }, {
+    name: 'remove',
+    type: 1,
+    description: 'Remove a server template',
+    options: [{
+      name: 'name',
+      type: 3,
+      description: 'Template name',
+      required: true
+    }]
+  }]
+};
+
+export async function execute(interaction, { config, target, configStore }) {
+  const subcommand = interaction.options.getSubcommand();
+  const customTemplates = (await configStore.get(interaction.guildId)).customTemplates ?? [];
+
+  if (subcommand === 'list') {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const available = await resolveTemplates(config, target, { filter: false });
+    const offered = new Set((await resolveTemplates(config, target)).map(t => t.name));
+
+    const templateEmbed = new EmbedBuilder()
+      .setTitle('🧩 Issue Templates')
+      .setDescription(`Templates for ${target.owner}/${target.repo}; required fields are marked *`)
+      .setColor('#7289DA')
+      .addFields(available.slice(0, 25).map(template => ({
+        name: `${offered.has(template.name) ? '✅' : '⏸️'} ${template.name} (${template.source})`.slice(0, 256),
+        value: (template.fields.map(f => f.label + (f.required ? '*' : '')).join(', ') || 'No fields').slice(0, 1024),
+        inline: false
+      })));
+
+    return interaction.editReply({ embeds: [templateEmbed] });
+  }
+
+  if (subcommand === 'remove') {
+    const name = interaction.options.getString('name');
+    const remaining = customTemplates.filter(t => t.name.toLowerCase() !== name.toLowerCase());
+    if (remaining.length === customTemplates.length) {
+      return interaction.reply({ content: `❌ No server template named \`${name}\``, flags: MessageFlags.Ephemeral });
+    }
+    await configStore.set(interaction.guildId, null, 'customTemplates', remaining);
+    return interaction.reply({ content: `✅ Removed template \`${name}\``, flags: MessageFlags.Ephemeral });
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId('template_modal')
+    .setTitle('Server Issue Template')
+    .addComponents(
+      [
+        new TextInputBuilder().setCustomId('name').setLabel('Name').setStyle(TextInputStyle.Short).setMaxLength(50),
+        new TextInputBuilder().setCustomId('description').setLabel('When to use it').setStyle(TextInputStyle.Short).setRequired(false),
+        new TextInputBuilder().setCustomId('title').setLabel('Title prefix').setStyle(TextInputStyle.Short).setPlaceholder('[Bug]: ').setRequired(false),
+        new TextInputBuilder().setCustomId('labels').setLabel('Labels (comma separated)').setStyle(TextInputStyle.Short).setRequired(false),
+        new TextInputBuilder()
+          .setCustomId('body')
+          .setLabel('Sections (## headings, * = required)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setValue('## What happened? *\n\n## Steps to reproduce *\n\n## Version')
+      ].map(input => new ActionRowBuilder().addComponents(input))
+    );
+
+  await interaction.showModal(modal);
+  const submission = await interaction.awaitModalSubmit({
+    filter: m => m.customId === 'template_modal' && m.user.id === interaction.user.id,
+    time: 300_000
+  }).catch(() => null);
+  if (!submission) return;
+
+  const definition = {
+    name: submission.fields.getTextInputValue('name').trim(),
+    description: submission.fields.getTextInputValue('description').trim(),
+    title: submission.fields.getTextInputValue('title'),
+    labels: submission.fields.getTextInputValue('labels').split(',').map(l => l.trim()).filter(Boolean),
+    body: submission.fields.getTextInputValue('body')
+  };
+
+  if (!markdownTemplate(definition, 'custom').fields.length) {
+    return submission.reply({ content: '❌ Add at least one `## Section` heading', flags: MessageFlags.Ephemeral });
+  }
+
+  await configStore.set(interaction.guildId, null, 'customTemplates', [
+    ...customTemplates.filter(t => t.name.toLowerCase() !== definition.name.toLowerCase()),
+    definition
+  ]);
+  return submission.reply({ content: `✅ Saved template \`${definition.name}\``, flags: MessageFlags.Ephemeral });
+}
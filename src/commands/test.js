@@ -0,0 +1,10 @@
+export const data = {
+  name: 'test',
+  description: 'Test bot connectivity'
+};
+
+export async function execute(interaction) {
+  await interaction.reply('✅ Bot is operational!');
+  const ping = Date.now() - interaction.createdTimestamp;
+  await interaction.followUp(`🏓 Latency: ${ping}ms`);
+}
@@ -0,0 +1,133 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getBoardDigest, projectBoardUrl } from '../utils/github-utils.js';
+import { githubLinkStore } from '../utils/github-auth.js';
+import { configStore, targetFromConfig, parseDigestSchedule } from '../utils/config-store.js';
+import { digestStore } from '../utils/digest-store.js';
+import { withCorrelation } from '../utils/correlation.js';
+import { logger } from '../utils/logger.js';
+
+const CHECK_INTERVAL = 60_000;
+const DAY = 24 * 60 * 60 * 1000;
+// How far back a channel's first digest looks
+const PERIODS = { daily: DAY, weekly: 7 * DAY };
+
+const truncate = (text, limit) => text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+
+// The most recent time the schedule fell due, at or before now
+export function lastScheduledRun({ frequency, weekday, hour, minute }, now = new Date()) {
+  const run = new Date(now);
+  run.setHours(hour, minute, 0, 0);
+  if (frequency === 'weekly') run.setDate(run.getDate() - ((run.getDay() - weekday + 7) % 7));
+  if (run > now) run.setDate(run.getDate() - (frequency === 'weekly' ? 7 : 1));
+  return run;
+}
+
+// Channels with a `digest` schedule get one post per scheduled time, including any missed while the bot was down
+export function startDigestScheduler(client) {
+  logger.info('Checking board digest schedules every minute');
+
+  // The next check waits for this one to finish, so a slow board walk can't post a digest twice
+  const check = () => withCorrelation({}, () => postDueDigests(client))
+    .catch(error => logger.error('Digest check failed', { error }))
+    .finally(() => setTimeout(check, CHECK_INTERVAL));
+  setTimeout(check, CHECK_INTERVAL);
+}
+
+async function postDueDigests(client) {
+  for (const scope of await configStore.channelScopes()) {
+    const config = await configStore.resolve(scope);
+    if (!config.digest) continue;
+
+    // A newly scheduled channel starts counting from now instead of posting straight away
+    const previous = await digestStore.get(scope.channelId);
+    if (!previous) {
+      await digestStore.set(scope.channelId, { guildId: scope.guildId, lastPostedAt: Date.now() });
+      continue;
+    }
+    if (previous.lastPostedAt >= lastScheduledRun(parseDigestSchedule(config.digest)).getTime()) continue;
+
+    const channel = await client.channels.fetch(scope.channelId).catch(() => null);
+    if (!channel) {
+      logger.warn(`Channel ${scope.channelId} is gone; dropping its digest schedule`);
+      await configStore.unset(scope.guildId, scope.channelId, 'digest');
+      continue;
+    }
+
+    try {
+      await postDigest(scope, config, message => channel.send(message));
+      logger.info(`Posted the board digest to channel ${scope.channelId}`);
+    } catch (error) {
+      logger.error(`Failed to post the board digest to channel ${scope.channelId}`, { error });
+    }
+  }
+}
+
+// Build a digest covering everything since the channel's previous one and hand it to send()
+export async function postDigest({ guildId, channelId }, config, send) {
+  const postedAt = Date.now();
+  const previous = await digestStore.get(channelId);
+  const frequency = config.digest ? parseDigestSchedule(config.digest).frequency : 'weekly';
+  const since = previous?.lastPostedAt ?? postedAt - PERIODS[frequency];
+  const target = targetFromConfig(config);
+
+  const digest = await getBoardDigest({ since, staleDays: config.staleDays }, target);
+  await send(await digestMessage(digest, { since, staleDays: config.staleDays, boardUrl: projectBoardUrl(target) }));
+  await digestStore.set(channelId, { guildId, lastPostedAt: postedAt });
+}
+
+const issueLink = ({ content }) => `[#${content.number} ${truncate(content.title, 50)}](${content.url})`;
+
+// As many lines as fit in an embed field, then a count of the rest
+function listValue(lines) {
+  if (!lines.length) return 'None';
+  const shown = [];
+  for (const line of lines) {
+    if ([...shown, line].join('\n').length > 1000) break;
+    shown.push(line);
+  }
+  const hidden = lines.length - shown.length;
+  return shown.join('\n') + (hidden ? `\n…and ${hidden} more` : '');
+}
+
+async function digestMessage({ counts, newInBacklog, closed, stale }, { since, staleDays, boardUrl }) {
+  // Assignees who linked their GitHub account get pinged about their stuck items
+  const mentioned = new Set();
+  const assigneeName = async login => {
+    const discordUserId = await githubLinkStore.findByLogin(login);
+    if (!discordUserId) return `\`${login}\``;
+    mentioned.add(discordUserId);
+    return `<@${discordUserId}>`;
+  };
+
+  const staleLines = [];
+  for (const { item, days } of stale) {
+    const assignees = await Promise.all(item.content.assignees.nodes.map(({ login }) => assigneeName(login)));
+    staleLines.push(`${issueLink(item)} — ${days}d in ${item.fieldValueByName.name}${assignees.length ? ` · ${assignees.join(', ')}` : ''}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('📊 Board Digest')
+    .setDescription(`Changes since <t:${Math.floor(since / 1000)}:f>`)
+    .setColor('#7289DA')
+    .addFields(
+      { name: '📋 By Status', value: counts.map(({ status, count }) => `${status}: **${count}**`).join('\n') || 'The board is empty', inline: false },
+      { name: `🆕 New in Backlog (${newInBacklog.length})`, value: listValue(newInBacklog.map(issueLink)), inline: false },
+      { name: `✅ Closed (${closed.length})`, value: listValue(closed.map(issueLink)), inline: false },
+      { name: `⏳ Stuck for ${staleDays}+ days (${stale.length})`, value: listValue(staleLines), inline: false }
+    )
+    .setTimestamp();
+
+  return {
+    content: mentioned.size ? `⏳ ${[...mentioned].map(id => `<@${id}>`).join(', ')}: some of your issues haven't moved in a while.` : null,
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setLabel('View Project Board')
+          .setURL(boardUrl)
+          .setStyle(ButtonStyle.Link)
+      )
+    ],
+    allowedMentions: { users: [...mentioned] }
+  };
+}
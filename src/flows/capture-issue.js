@@ -0,0 +1,145 @@
+import { ChannelType } from 'discord.js';
+import { collectAttachment } from '../utils/attachment-utils.js';
+import { targetFromConfig } from '../utils/config-store.js';
+import { sessionStore } from '../utils/session-store.js';
+import { resolveTemplates, findTemplate } from '../utils/template-utils.js';
+import { startCapturedSession } from './create-issue.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_MESSAGES = 50;
+
+// Accepts a message ID or a "Copy Message Link" URL from this channel
+export function parseMessageReference(input, channelId) {
+  const link = input.trim().match(/channels\/(?:\d+|@me)\/(\d+)\/(\d+)/);
+  if (link && link[1] !== channelId) throw new Error('Messages must be from this channel');
+  const messageId = link ? link[2] : input.trim();
+  if (!/^\d+$/.test(messageId)) throw new Error(`\`${input}\` is not a message link or ID`);
+  return messageId;
+}
+
+// The first message and everything after it, up to lastId when given, oldest first
+export async function fetchMessageRange(channel, firstId, lastId = null) {
+  const first = await channel.messages.fetch(firstId);
+  const messages = [first];
+
+  let after = first.id;
+  while (messages.length < MAX_MESSAGES && after !== lastId) {
+    const batch = await channel.messages.fetch({ after, limit: 100 });
+    if (!batch.size) break;
+
+    const sorted = [...batch.values()].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    for (const message of sorted) {
+      messages.push(message);
+      after = message.id;
+      if (message.id === lastId || messages.length === MAX_MESSAGES) break;
+    }
+  }
+
+  return messages;
+}
+
+// Replies to a message, including replies to those replies, or its thread when it has one
+export async function fetchReplies(message) {
+  if (message.hasThread) {
+    return (await fetchThreadMessages(message.thread)).filter(reply => reply.id !== message.id);
+  }
+
+  const thread = new Set([message.id]);
+  const replies = [];
+  for (const candidate of (await fetchMessageRange(message.channel, message.id)).slice(1)) {
+    if (thread.has(candidate.reference?.messageId)) {
+      thread.add(candidate.id);
+      replies.push(candidate);
+    }
+  }
+  return replies;
+}
+
+// A thread's starter message usually lives in the parent channel, so it's fetched separately;
+// forum posts keep it inside the thread, where it's skipped as a reply
+export async function fetchThreadMessages(thread) {
+  const starter = await thread.fetchStarterMessage().catch(() => null);
+  const firstReply = await thread.messages.fetch({ after: '0', limit: 1 });
+  const replies = firstReply.size ? await fetchMessageRange(thread, firstReply.first().id) : [];
+  return [...(starter ? [starter] : []), ...replies.filter(reply => reply.id !== starter?.id)].slice(0, MAX_MESSAGES);
+}
+
+// Preview and confirm buttons go to a thread on the first message, unless the messages are in a thread or DM already.
+// Only a thread started here is the bot's to archive once the session ends.
+async function captureChannel(channel, firstMessage) {
+  if (channel.type === ChannelType.DM || channel.isThread()) return { channel, createdThread: false };
+  if (firstMessage.thread) return { channel: firstMessage.thread, createdThread: false };
+
+  const thread = await firstMessage.startThread({
+    name: `Issue - ${firstMessage.content.slice(0, 80) || firstMessage.author.username}`,
+    autoArchiveDuration: 60
+  });
+  return { channel: thread, createdThread: true };
+}
+
+// The capture commands report progress in their deferred ephemeral reply
+export const captureOptions = (interaction, config) => ({
+  user: interaction.user,
+  guildId: interaction.guildId,
+  config,
+  onStart: notice => interaction.editReply(notice)
+});
+
+// Run existing messages through generation and the preview/confirm flow. onStart receives a
+// progress note before generation begins; a template name narrows drafting to that template.
+export async function captureIssue(sourceChannel, messages, { user, guildId, config, template, trigger, onStart }) {
+  const reports = messages.filter(message => !message.author.bot && (message.content || message.attachments.size));
+  if (!reports.length) throw new Error('None of those messages have text or attachments to report.');
+
+  const isDM = sourceChannel.type === ChannelType.DM;
+  const { channel, createdThread } = await captureChannel(sourceChannel, reports[0]);
+  if (sessionStore.get(channel.id, user.id)) {
+    throw new Error(`You already have a report in progress in ${channel}. Finish or cancel it first.`);
+  }
+
+  const target = targetFromConfig(config);
+  const templates = template
+    ? [findTemplate(await resolveTemplates(config, target, { filter: false }), template)].filter(Boolean)
+    : [];
+
+  const assets = { text: [], images: [], files: [] };
+  const failures = [];
+  for (const message of reports) {
+    // Authors stay attached to their words so the AI can tell the reporter from the people answering
+    if (message.content) assets.text.push(`${message.author.username}: ${message.content}`);
+
+    for (const attachment of message.attachments.values()) {
+      try {
+        await collectAttachment(attachment, assets, target);
+      } catch (error) {
+        logger.error('Attachment processing failed', { error });
+        failures.push(`${attachment.name}: ${error.message}`);
+      }
+    }
+  }
+
+  await onStart?.(
+    `📝 Drafting from ${reports.length} message${reports.length === 1 ? '' : 's'} in ${channel}` +
+    (messages.length === MAX_MESSAGES ? ` (the first ${MAX_MESSAGES} only)` : '') +
+    (failures.length ? `\n⚠️ Skipped attachments:\n${failures.join('\n')}` : '')
+  );
+
+  logger.info(`Capturing ${reports.length} messages from ${sourceChannel.id} for ${user.tag}`);
+
+  await startCapturedSession(channel, {
+    guildId,
+    userId: user.id,
+    username: user.username,
+    isDM,
+    createdThread,
+    config,
+    assets,
+    templates: templates.length ? templates : undefined,
+    trigger,
+    sourceMessages: reports.map(message => ({
+      url: message.url,
+      author: message.author.username,
+      createdAt: message.createdAt.toISOString()
+    }))
+  });
+}
@@ -0,0 +1,1036 @@
+import {
+  EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+  ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags, StringSelectMenuBuilder
+} from 'discord.js';
+import {
+  createIssues, createBatch, commentOnIssue, issueTarget, issueReference, linkBatchReferences, replaceBatchReferences
+} from '../utils/github-utils.js';
+import { configStore, configScope, targetFromConfig } from '../utils/config-store.js';
+import { findDuplicateCandidates } from '../utils/duplicate-utils.js';
+import { collectAttachment, AttachmentKind } from '../utils/attachment-utils.js';
+import { generateIssueContent, IssueSchema } from '../utils/openai-utils.js';
+import { sessionStore, SessionState } from '../utils/session-store.js';
+import { usageStore, trackGeneration } from '../utils/usage-store.js';
+import { checkQuota } from '../utils/permissions.js';
+import { resolveTemplates, findTemplate, findMissingFields, fillField } from '../utils/template-utils.js';
+import { loadCandidateMetadata, constrainDrafts } from '../utils/metadata-utils.js';
+import { linkIssuesToThread } from './issue-sync.js';
+import { createInterviewer } from './interview.js';
+import { bindCorrelation, currentCorrelationId, newCorrelationId, withCorrelation } from '../utils/correlation.js';
+import { logger } from '../utils/logger.js';
+
+const COLLECT_TIMEOUT = 600_000; // 10 minutes
+const PREVIEW_TIMEOUT = 300_000; // 5 minutes
+const MODAL_TEXT_LIMIT = 4000;
+
+const ATTACHMENT_LABELS = {
+  [AttachmentKind.IMAGE]: 'image',
+  [AttachmentKind.TEXT]: 'text file',
+  [AttachmentKind.BINARY]: 'file (linked in the issue)'
+};
+
+// Start a new /create-issue session in a thread or DM channel
+export async function startIssueSession(channel, { guildId, userId, username, isDM, createdThread, wantsPreview, wantsInterview, config }) {
+  const session = await sessionStore.save({
+    channelId: channel.id,
+    // Messages and button clicks later in the session log under the starting command's ID
+    correlationId: currentCorrelationId() ?? newCorrelationId(),
+    // Usage is charged to the server the command ran in, even when collecting in DMs
+    guildId,
+    userId,
+    username,
+    isDM,
+    // Threads the bot opened for the session are archived when it ends; anyone else's are left open
+    createdThread,
+    wantsPreview,
+    // Interview mode: the AI asks follow-up questions before drafting
+    interview: wantsInterview ? { rounds: 0 } : null,
+    // Resolved once so a /config change mid-session doesn't split the batch across repos
+    config,
+    state: SessionState.COLLECTING,
+    assets: { text: [], images: [], files: [] },
+    generatedIssues: null,
+    previewMessageId: null,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + COLLECT_TIMEOUT
+  });
+
+  collectMessages(session, channel);
+  return session;
+}
+
+// Draft issues from messages that were already posted; the reporter always gets the preview
+export async function startCapturedSession(channel, { guildId, userId, username, isDM, createdThread, config, assets, templates, trigger, sourceMessages }) {
+  const session = await sessionStore.save({
+    channelId: channel.id,
+    correlationId: currentCorrelationId() ?? newCorrelationId(),
+    guildId,
+    userId,
+    username,
+    isDM,
+    createdThread,
+    wantsPreview: true,
+    interview: null,
+    config,
+    // Reaction triggers draft with one template only
+    templates,
+    state: SessionState.GENERATING,
+    assets,
+    // Linked from each issue so the original discussion can be found
+    sourceMessages,
+    // The message a reaction trigger was added to, marked once the issues are filed
+    trigger,
+    sourceMessageUrl: sourceMessages[0]?.url,
+    generatedIssues: null,
+    previewMessageId: null,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + COLLECT_TIMEOUT
+  });
+
+  await generateDrafts(session, channel);
+  return session;
+}
+
+// Re-attach collectors and preview handlers for sessions persisted before a restart
+export async function resumeIssueSessions(client) {
+  const sessions = await sessionStore.load();
+
+  for (const session of sessions) {
+    session.correlationId ??= newCorrelationId();
+    await withCorrelation({ correlationId: session.correlationId }, () => resumeSession(client, session));
+  }
+}
+
+async function resumeSession(client, session) {
+  try {
+    const channel = await client.channels.fetch(session.channelId);
+    if (!channel) throw new Error('Channel no longer exists');
+    session.config ??= await configStore.resolve(configScope(channel));
+    session.guildId ??= channel.guildId ?? null;
+    session.username ??= (await client.users.fetch(session.userId)).username;
+    // Sessions saved before threads were tracked: /create-issue always opened one, captures may have reused one
+    session.createdThread ??= !session.isDM && !session.sourceMessages;
+
+    logger.info(`Resuming ${session.state} session in ${session.channelId}`);
+
+    switch (session.state) {
+      case SessionState.COLLECTING:
+        if (!session.isDM && channel.archived) await channel.setArchived(false);
+        await channel.send('🔄 Bot restarted — your draft was kept. Keep sending details, then type `!done`');
+        collectMessages(session, channel);
+        break;
+
+      case SessionState.GENERATING:
+        await channel.send('🔄 Bot restarted during generation — generating again...');
+        await generateDrafts(session, channel);
+        break;
+
+      case SessionState.FAILED: {
+        const retryMessage = await channel.messages.fetch(session.retryMessageId).catch(() => null);
+        retryMessage
+          ? attachRetryHandler(session, channel, retryMessage)
+          : await offerRetry(session, channel, new Error('Generation was interrupted'));
+        break;
+      }
+
+      case SessionState.PREVIEW: {
+        const previewMessage = session.previewMessageId
+          ? await channel.messages.fetch(session.previewMessageId).catch(() => null)
+          : null;
+        previewMessage
+          ? attachPreviewHandlers(session, channel)
+          : await sendPreview(session, channel);
+        break;
+      }
+
+      case SessionState.PARTIAL: {
+        const summaryMessage = await channel.messages.fetch(session.summaryMessageId).catch(() => null);
+        summaryMessage
+          ? attachFailedRetryHandler(session, channel, summaryMessage)
+          : await offerFailedRetry(session, channel, session.failures);
+        break;
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to resume session ${session.channelId}`, { error });
+    await sessionStore.delete(session);
+  }
+}
+
+function collectMessages(session, channel) {
+  const collector = channel.createMessageCollector({
+    filter: m => !m.author.bot,
+    time: Math.max(session.expiresAt - Date.now(), 1_000)
+  });
+
+  const { assets } = session;
+
+  // Each round of questions gives the reporter a fresh collection window to answer
+  const interviewer = createInterviewer(session, channel, collector, {
+    onExtend: () => {
+      session.expiresAt = Date.now() + COLLECT_TIMEOUT;
+      collector.resetTimer({ time: COLLECT_TIMEOUT });
+    }
+  });
+
+  collector.on('collect', bindCorrelation(session.correlationId, async msg => {
+    if (msg.author.bot) return;
+
+    logger.debug(`Received message from ${msg.author.tag}: ${msg.content}... (${msg.attachments.size} attachments)`);
+
+    if (msg.content.toLowerCase() === '!done') {
+      collector.stop();
+      return;
+    }
+
+    // Linked from the "Reported by" footer; DM links only work for the reporter
+    if (!session.isDM) session.sourceMessageUrl ??= msg.url;
+
+    // Process attachments
+    if (msg.attachments.size > 0) {
+      logger.debug(`Processing ${msg.attachments.size} Discord attachments`);
+      for (const [_, attachment] of msg.attachments) {
+        try {
+          // Discord CDN URLs expire, so keep a permanent copy right away
+          logger.debug(`Storing Discord attachment: ${attachment.url}`);
+          const kind = await collectAttachment(attachment, assets, targetFromConfig(session.config));
+          await channel.send(`✅ Added ${ATTACHMENT_LABELS[kind]}: ${attachment.name}`);
+        } catch (error) {
+          logger.error('Attachment processing failed', { error });
+          await channel.send(`❌ Failed to process attachment ${attachment.name}: ${error.message}`);
+        }
+      }
+    }
+
+    // Process text
+    if (msg.content) {
+      assets.text.push(msg.content);
+      await channel.send(`✅ Added text: \n${msg.content}`);
+    }
+
+    await sessionStore.save(session);
+    interviewer.schedule();
+  }));
+
+  collector.on('end', bindCorrelation(session.correlationId, async () => {
+    interviewer.cancel();
+    logger.info('Message collection ended', { assets });
+    try {
+      await generateDrafts(session, channel);
+    } catch (error) {
+      logger.error('Issue session failed', { error });
+      await channel.send(`❌ Error: ${error.message}`);
+    }
+  }));
+}
+
+async function generateDrafts(session, channel) {
+  session.state = SessionState.GENERATING;
+  await sessionStore.save(session);
+
+  let generatedIssues;
+  try {
+    // Loaded once per session so revisions and the required-field checks use the same templates
+    session.templates ??= await resolveTemplates(session.config, targetFromConfig(session.config));
+    generatedIssues = await generateIssueContent(session.assets, channel, await generationOptions(session));
+  } catch (error) {
+    logger.error('Issue generation failed', { error });
+    await offerRetry(session, channel, error);
+    return;
+  }
+
+  // draftId is the generation position that {{issue:N}} cross-references use
+  generatedIssues = generatedIssues.map((issue, index) => ({
+    ...issue,
+    template: findTemplate(session.templates, issue.template)?.name ?? null,
+    repo: routeRepo(issue.repo, session.config),
+    draftId: index + 1,
+    duplicateOf: null
+  }));
+
+  // Only the model's suggestions are checked; configured and template labels are added as they are
+  await constrainDrafts(generatedIssues, targetFromConfig(session.config));
+  for (const draft of generatedIssues) {
+    addConfiguredLabels(session, draft);
+    checkRequiredFields(session, draft);
+  }
+
+  // Stored for edits in the preview and for retrying drafts that fail to file
+  session.generatedIssues = generatedIssues;
+
+  // Drafts missing required template fields go through the preview so the reporter can fill them in
+  const incomplete = generatedIssues.some(draft => draft.missingFields.length);
+  if (!session.wantsPreview && !incomplete) {
+    await fileIssues(session, channel, generatedIssues);
+    return;
+  }
+
+  if (incomplete) {
+    await channel.send('✍️ Some issues are missing required template fields. Fill them in below before filing.');
+  }
+
+  try {
+    await findDuplicateCandidates(session.generatedIssues, { target: targetFromConfig(session.config) });
+  } catch (error) {
+    logger.warn(`Duplicate check skipped: ${error.message}`);
+  }
+
+  await sendPreview(session, channel);
+}
+
+const usageScope = session => ({ guildId: session.guildId, userId: session.userId });
+
+// Session settings, the target repositories' labels and usage tracking for every generation the session triggers
+async function generationOptions(session) {
+  return {
+    ...session.config,
+    templates: session.templates,
+    repositories: await loadCandidateMetadata(session.config, targetFromConfig(session.config)),
+    onUsage: trackGeneration(usageScope(session))
+  };
+}
+
+// The server's default labels and the template's labels go on every draft
+function configuredLabels(session, draft) {
+  return [...session.config.defaultLabels, ...(findTemplate(session.templates, draft.template)?.labels ?? [])];
+}
+
+function addConfiguredLabels(session, draft) {
+  draft.labels = [...new Set([...configuredLabels(session, draft), ...draft.labels])];
+  return draft;
+}
+
+// Rechecks a draft the way generateDrafts does: configured labels are set aside while the
+// model's suggestions are checked against the draft's repository, then added back as they are
+async function constrainDraftLabels(session, draft) {
+  const configured = configuredLabels(session, draft);
+  draft.labels = draft.labels.filter(label => !configured.includes(label));
+  await constrainDrafts([draft], targetFromConfig(session.config));
+  addConfiguredLabels(session, draft);
+}
+
+function checkRequiredFields(session, draft) {
+  draft.missingFields = findMissingFields(draft, session.templates);
+  return draft;
+}
+
+const hasMissingFields = drafts => drafts.some(draft => !draft.duplicateOf && draft.missingFields?.length);
+
+const isCandidateRepo = (repo, config) => (config.repos ?? []).some(c => c.repo.toLowerCase() === repo?.toLowerCase());
+
+// Only configured candidates are accepted; anything else falls back to the default repo
+function routeRepo(repo, config) {
+  const candidates = config.repos ?? [];
+  const match = candidates.find(c => c.repo.toLowerCase() === repo?.toLowerCase());
+  return match?.repo ?? (candidates.length ? config.repo ?? candidates[0].repo : undefined);
+}
+
+// Keep the collected details and let the reporter try again instead of losing the thread
+async function offerRetry(session, channel, error) {
+  const retryMessage = await channel.send({
+    content: `❌ Couldn't generate issues: ${error.message.slice(0, 1500)}\nYour collected details are kept.`,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('retry_generation')
+          .setLabel('🔁 Retry generation')
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId('cancel_issues')
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Danger)
+      )
+    ]
+  });
+
+  session.state = SessionState.FAILED;
+  session.retryMessageId = retryMessage.id;
+  session.expiresAt = Date.now() + PREVIEW_TIMEOUT;
+  await sessionStore.save(session);
+
+  attachRetryHandler(session, channel, retryMessage);
+}
+
+function attachRetryHandler(session, channel, retryMessage) {
+  const retryCollector = retryMessage.createMessageComponentCollector({
+    filter: i => i.user.id === session.userId,
+    time: Math.max(session.expiresAt - Date.now(), 1_000)
+  });
+
+  retryCollector.on('collect', bindCorrelation(session.correlationId, async buttonInteraction => {
+    if (buttonInteraction.customId === 'retry_generation') {
+      const refusal = await checkQuota(usageScope(session), session.config, ['generations']);
+      if (refusal) return buttonInteraction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+    }
+
+    retryCollector.stop('handled');
+    await buttonInteraction.update({ components: [] });
+
+    try {
+      buttonInteraction.customId === 'retry_generation'
+        ? await generateDrafts(session, channel)
+        : await cancelSession(session, channel);
+    } catch (error) {
+      logger.error('Retry generation failed', { error });
+      await channel.send(`❌ Error: ${error.message}`);
+    }
+  }));
+
+  retryCollector.on('end', bindCorrelation(session.correlationId, async (_, reason) => {
+    if (reason !== 'time') return;
+    await sessionStore.delete(session);
+    retryMessage.edit({ components: [] })
+      .catch(error => logger.warn('Failed to clear retry button', { error }));
+  }));
+}
+
+async function cancelSession(session, channel) {
+  await sessionStore.delete(session);
+  await channel.send('❌ Issue creation canceled');
+  if (session.createdThread) {
+    await channel.setArchived(true);
+  }
+}
+
+function buildDraftEmbed(draft) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Issue #${draft.draftId}: ${draft.title}`.slice(0, 256))
+    .setDescription(draft.body.slice(0, 200) + '...')
+    .addFields(
+      { name: 'Labels', value: draft.labels.join(', ') || 'None', inline: true },
+      { name: 'Length', value: `${draft.body.length} characters`, inline: true }
+    )
+    .setColor('#FFA500');
+
+  if (draft.repo) {
+    embed.addFields({ name: 'Repository', value: draft.repo, inline: true });
+  }
+
+  if (draft.images?.length) {
+    embed.addFields({ name: 'Images', value: draft.images.map(n => `Image ${n}`).join(', '), inline: true });
+  }
+
+  if (draft.files?.length) {
+    embed.addFields({ name: 'Files', value: draft.files.map(n => `File ${n}`).join(', '), inline: true });
+  }
+
+  if (draft.duplicates?.length) {
+    embed.addFields({
+      name: '⚠️ Possible duplicates',
+      value: draft.duplicates
+        .map(d => `[#${d.number}](${d.html_url}) ${d.title.slice(0, 60)} (${d.state}, ${Math.round(d.score * 100)}% match)`)
+        .join('\n')
+    });
+  }
+
+  if (draft.template) {
+    embed.addFields({ name: 'Template', value: draft.template, inline: true });
+  }
+
+  if (draft.milestone) {
+    embed.addFields({ name: 'Milestone', value: draft.milestone, inline: true });
+  }
+
+  if (draft.assignees?.length) {
+    embed.addFields({ name: 'Assignees', value: draft.assignees.map(login => `@${login}`).join(', '), inline: true });
+  }
+
+  if (draft.metadataNotes?.length) {
+    embed.addFields({ name: '🏷️ Adjusted to the repository', value: draft.metadataNotes.join('\n').slice(0, 1024) });
+  }
+
+  if (draft.missingFields?.length) {
+    embed.addFields({ name: '✍️ Missing required fields', value: draft.missingFields.map(f => f.label).join(', ').slice(0, 1024) });
+  }
+
+  if (draft.duplicateOf) {
+    embed.addFields({ name: 'Action', value: `💬 Will be added as a comment on #${draft.duplicateOf}` });
+  }
+
+  return embed;
+}
+
+function renderDraft(session, draft) {
+  return {
+    embeds: [buildDraftEmbed(draft)],
+    components: buildDraftComponents(draft, session.config.repos)
+  };
+}
+
+function buildDraftComponents(draft, repos = []) {
+  const rows = [buildDraftRow(draft)];
+
+  if (repos.length > 1) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`repo_issue:${draft.draftId}`)
+        .addOptions(repos.slice(0, 25).map(({ repo, description }) => ({
+          label: repo.slice(0, 100),
+          description: description?.slice(0, 100) || undefined,
+          value: repo,
+          emoji: '📦',
+          default: draft.repo === repo
+        })))
+    ));
+  }
+
+  // Let the reporter file anyway or fold the report into an existing issue
+  if (draft.duplicates?.length) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`duplicate_issue:${draft.draftId}`)
+        .addOptions(
+          { label: 'File anyway as a new issue', value: 'new', emoji: '📄', default: !draft.duplicateOf },
+          ...draft.duplicates.map(d => ({
+            label: `Add as comment on #${d.number}`,
+            description: d.title.slice(0, 100),
+            value: String(d.number),
+            emoji: '💬',
+            default: draft.duplicateOf === d.number
+          }))
+        )
+    ));
+  }
+
+  return rows;
+}
+
+function buildDraftRow(draft) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`edit_issue:${draft.draftId}`)
+      .setLabel('✏️ Edit')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`revise_issue:${draft.draftId}`)
+      .setLabel('🤖 Ask AI to revise')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`drop_issue:${draft.draftId}`)
+      .setLabel('🗑️ Drop')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  if (draft.missingFields?.length) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`fill_fields:${draft.draftId}`)
+        .setLabel('✍️ Fill required fields')
+        .setStyle(ButtonStyle.Success)
+    );
+  }
+
+  return row;
+}
+
+function buildPreviewRow(generatedIssues) {
+  const commentCount = generatedIssues.filter(d => d.duplicateOf).length;
+  const issueCount = generatedIssues.length - commentCount;
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('confirm_issues')
+      .setLabel(hasMissingFields(generatedIssues)
+        ? 'Fill required fields to create issues'
+        : `Create ${issueCount} Issues` + (commentCount ? ` + ${commentCount} Comments` : ''))
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(generatedIssues.length === 0 || hasMissingFields(generatedIssues)),
+    new ButtonBuilder()
+      .setCustomId('cancel_issues')
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+function buildEditModal(draft, nonce) {
+  // Modal text inputs are capped at 4000 characters; longer bodies keep their tail on submit
+  const bodyInput = new TextInputBuilder()
+    .setCustomId('body')
+    .setLabel(draft.body.length > MODAL_TEXT_LIMIT ? `Body (first ${MODAL_TEXT_LIMIT} characters)` : 'Body')
+    .setStyle(TextInputStyle.Paragraph)
+    .setValue(draft.body.slice(0, MODAL_TEXT_LIMIT))
+    .setRequired(true);
+
+  const labelsInput = new TextInputBuilder()
+    .setCustomId('labels')
+    .setLabel('Labels (comma separated)')
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false);
+  if (draft.labels.length) labelsInput.setValue(draft.labels.join(', '));
+
+  return new ModalBuilder()
+    .setCustomId(`edit_modal:${draft.draftId}:${nonce}`)
+    .setTitle(`Edit Issue #${draft.draftId}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('title')
+          .setLabel('Title')
+          .setStyle(TextInputStyle.Short)
+          .setValue(draft.title.slice(0, 256))
+          .setMaxLength(256)
+          .setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(bodyInput),
+      new ActionRowBuilder().addComponents(labelsInput)
+    );
+}
+
+// Modals hold five inputs; anything beyond that is asked for on the next round
+function buildFieldsModal(draft, nonce) {
+  return new ModalBuilder()
+    .setCustomId(`fields_modal:${draft.draftId}:${nonce}`)
+    .setTitle(`Required fields for #${draft.draftId}`)
+    .addComponents(draft.missingFields.slice(0, 5).map(field => {
+      const input = new TextInputBuilder()
+        .setCustomId(field.id)
+        .setLabel(field.label.slice(0, 45))
+        .setStyle(field.options?.length ? TextInputStyle.Short : TextInputStyle.Paragraph)
+        .setRequired(true);
+
+      const hint = field.options?.length ? `One of: ${field.options.join(', ')}` : field.description;
+      if (hint) input.setPlaceholder(hint.slice(0, 100));
+      return new ActionRowBuilder().addComponents(input);
+    }));
+}
+
+function buildReviseModal(draft, nonce) {
+  return new ModalBuilder()
+    .setCustomId(`revise_modal:${draft.draftId}:${nonce}`)
+    .setTitle(`Revise Issue #${draft.draftId}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('instructions')
+          .setLabel('What should change?')
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder('e.g. Add reproduction steps, make the title more specific')
+          .setRequired(false)
+      )
+    );
+}
+
+async function sendPreview(session, channel) {
+  session.draftMessageIds = {};
+
+  await channel.send('**Review these issues**');
+  for (const draft of session.generatedIssues) {
+    const draftMessage = await channel.send(renderDraft(session, draft));
+    session.draftMessageIds[draft.draftId] = draftMessage.id;
+  }
+
+  const previewMessage = await channel.send({
+    content: 'Edit, revise or drop drafts above, then confirm:',
+    components: [buildPreviewRow(session.generatedIssues)]
+  });
+
+  session.state = SessionState.PREVIEW;
+  session.previewMessageId = previewMessage.id;
+  session.expiresAt = Date.now() + PREVIEW_TIMEOUT;
+  await sessionStore.save(session);
+
+  attachPreviewHandlers(session, channel);
+}
+
+// One channel-level collector serves the per-draft buttons and the confirm/cancel row
+function attachPreviewHandlers(session, channel) {
+  const { assets } = session;
+  const previewMessageIds = () => [session.previewMessageId, ...Object.values(session.draftMessageIds ?? {})];
+
+  const buttonCollector = channel.createMessageComponentCollector({
+    filter: i => i.user.id === session.userId && previewMessageIds().includes(i.message.id),
+    time: Math.max(session.expiresAt - Date.now(), 1_000)
+  });
+
+  // Modal IDs carry the click's ID, so a modal the user dismissed doesn't also answer a later one
+  const awaitModal = (buttonInteraction, modal) => buttonInteraction
+    .awaitModalSubmit({
+      filter: m => m.customId === modal.data.custom_id && m.user.id === session.userId,
+      time: PREVIEW_TIMEOUT
+    })
+    .catch(() => null);
+
+  const refreshSummary = async () => {
+    const previewMessage = await channel.messages.fetch(session.previewMessageId);
+    await previewMessage.edit({ components: [buildPreviewRow(session.generatedIssues)] });
+  };
+
+  buttonCollector.on('collect', bindCorrelation(session.correlationId, async buttonInteraction => {
+    const [action, draftId] = buttonInteraction.customId.split(':');
+    const draft = session.generatedIssues.find(d => d.draftId === Number(draftId));
+
+    // Any activity keeps the preview alive
+    session.expiresAt = Date.now() + PREVIEW_TIMEOUT;
+    buttonCollector.resetTimer();
+
+    try {
+      switch(action) {
+        case 'confirm_issues': {
+          if (hasMissingFields(session.generatedIssues)) {
+            await buttonInteraction.reply({ content: '✍️ Fill in the required fields first.', flags: MessageFlags.Ephemeral });
+            return;
+          }
+
+          const refusal = await checkQuota(usageScope(session), session.config, ['issues']);
+          if (refusal) {
+            await buttonInteraction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+            return;
+          }
+
+          await buttonInteraction.deferUpdate();
+          buttonCollector.stop();
+          await fileIssues(session, channel, session.generatedIssues);
+          break;
+        }
+
+        case 'edit_issue': {
+          const modal = buildEditModal(draft, buttonInteraction.id);
+          await buttonInteraction.showModal(modal);
+          const submission = await awaitModal(buttonInteraction, modal);
+          if (!submission) return;
+
+          const edited = IssueSchema.element.safeParse({
+            title: submission.fields.getTextInputValue('title'),
+            body: submission.fields.getTextInputValue('body') + draft.body.slice(MODAL_TEXT_LIMIT),
+            labels: submission.fields.getTextInputValue('labels').split(',').map(l => l.trim()).filter(Boolean),
+            images: draft.images,
+            files: draft.files,
+            milestone: draft.milestone,
+            assignees: draft.assignees
+          });
+
+          if (!edited.success) {
+            await submission.reply({
+              content: `❌ ${edited.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('\n')}`,
+              flags: MessageFlags.Ephemeral
+            });
+            return;
+          }
+
+          Object.assign(draft, edited.data);
+          checkRequiredFields(session, draft);
+          await sessionStore.save(session);
+          await submission.update(renderDraft(session, draft));
+          await refreshSummary();
+          break;
+        }
+
+        case 'fill_fields': {
+          const modal = buildFieldsModal(draft, buttonInteraction.id);
+          await buttonInteraction.showModal(modal);
+          const submission = await awaitModal(buttonInteraction, modal);
+          if (!submission) return;
+
+          for (const field of draft.missingFields.slice(0, 5)) {
+            draft.body = fillField(draft.body, field, submission.fields.getTextInputValue(field.id));
+          }
+
+          checkRequiredFields(session, draft);
+          await sessionStore.save(session);
+          await submission.update(renderDraft(session, draft));
+          await refreshSummary();
+          break;
+        }
+
+        case 'revise_issue': {
+          const refusal = await checkQuota(usageScope(session), session.config, ['generations']);
+          if (refusal) {
+            await buttonInteraction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+            return;
+          }
+
+          const modal = buildReviseModal(draft, buttonInteraction.id);
+          await buttonInteraction.showModal(modal);
+          const submission = await awaitModal(buttonInteraction, modal);
+          if (!submission) return;
+          await submission.deferUpdate();
+
+          const instructions = submission.fields.getTextInputValue('instructions');
+          await channel.send(`🔄 Revising issue #${draft.draftId}...`);
+
+          // Regenerate only this draft, with the original report as context
+          const [revised] = await generateIssueContent({
+            text: [
+              ...assets.text,
+              `REVISE ONLY THIS ISSUE and return exactly one issue:\n${JSON.stringify({
+                title: draft.title, body: draft.body, labels: draft.labels, template: draft.template,
+                milestone: draft.milestone, assignees: draft.assignees, repo: draft.repo,
+                images: draft.images, files: draft.files
+              })}`,
+              ...(instructions ? [`USER EDIT REQUEST: ${instructions}`] : [])
+            ],
+            images: assets.images,
+            files: assets.files
+          }, channel, await generationOptions(session));
+
+          if (!revised) throw new Error('The AI returned no revision');
+
+          Object.assign(draft, revised, {
+            template: findTemplate(session.templates, revised.template)?.name ?? draft.template,
+            // The model may move the draft to another configured repo, but never drops the one picked in the menu
+            repo: isCandidateRepo(revised.repo, session.config) ? routeRepo(revised.repo, session.config) : draft.repo,
+            // A revision that mentions no attachments keeps the ones the draft had
+            images: revised.images.length ? revised.images : draft.images,
+            files: revised.files.length ? revised.files : draft.files
+          });
+          await constrainDraftLabels(session, draft);
+          checkRequiredFields(session, draft);
+          await sessionStore.save(session);
+          await buttonInteraction.message.edit(renderDraft(session, draft));
+          await refreshSummary();
+          break;
+        }
+
+        case 'duplicate_issue': {
+          const choice = buttonInteraction.values[0];
+          draft.duplicateOf = choice === 'new' ? null : Number(choice);
+          await sessionStore.save(session);
+          await buttonInteraction.update(renderDraft(session, draft));
+          await refreshSummary();
+          break;
+        }
+
+        case 'repo_issue': {
+          draft.repo = buttonInteraction.values[0];
+          await buttonInteraction.deferUpdate();
+
+          // Duplicates, labels and milestones from the old repository no longer apply
+          draft.duplicateOf = null;
+          await constrainDraftLabels(session, draft);
+          await findDuplicateCandidates([draft], { target: targetFromConfig(session.config) })
+            .catch(error => logger.warn(`Duplicate check skipped: ${error.message}`));
+
+          await sessionStore.save(session);
+          await buttonInteraction.message.edit(renderDraft(session, draft));
+          await refreshSummary();
+          break;
+        }
+
+        case 'drop_issue':
+          session.generatedIssues = session.generatedIssues.filter(d => d !== draft);
+          delete session.draftMessageIds[draftId];
+          await sessionStore.save(session);
+          await buttonInteraction.update({ content: `🗑️ Dropped issue #${draftId}: ~~${draft.title}~~`, embeds: [], components: [] });
+          await refreshSummary();
+          break;
+
+        case 'cancel_issues':
+          await buttonInteraction.deferUpdate();
+          buttonCollector.stop();
+          await cancelSession(session, channel);
+          break;
+      }
+    } catch (error) {
+      logger.error('Button interaction error', { error });
+      await channel.send(`❌ Error: ${error.message}`);
+    }
+  }));
+
+  buttonCollector.on('end', bindCorrelation(session.correlationId, async (_, reason) => {
+    // Expired previews are dropped; confirm/cancel already cleaned up
+    if (reason === 'time') await sessionStore.delete(session);
+
+    // Disable buttons
+    for (const messageId of previewMessageIds()) {
+      channel.messages.edit(messageId, { components: [] })
+        .catch(error => logger.warn('Failed to clear preview buttons', { error }));
+    }
+  }));
+}
+
+// Issue fields kept in the session: enough to link cross-references, sync the thread and summarize the batch
+const filedIssue = (draft, issue) => ({
+  draftId: draft.draftId,
+  number: issue.number,
+  title: issue.title,
+  body: issue.body,
+  html_url: issue.html_url,
+  repository_url: issue.repository_url,
+  node_id: issue.node_id,
+  created_at: issue.created_at
+});
+
+// {{issue:N}} placeholders point at generation positions, which draftIds preserve
+function batchReferences(session, target) {
+  const references = {};
+  for (const issue of session.filedIssues) references[issue.draftId] = issueReference(issue);
+  for (const draft of session.generatedIssues.filter(d => d.duplicateOf)) {
+    const { owner, repo } = issueTarget(draft, target);
+    references[draft.draftId] = `${owner}/${repo}#${draft.duplicateOf}`;
+  }
+  return references;
+}
+
+// File drafts one by one. Drafts that fail stay in the session behind a "Retry failed" button;
+// the batch id lets a retry, or a confirm after a restart, skip issues GitHub already has.
+async function fileIssues(session, channel, drafts) {
+  const target = targetFromConfig(session.config);
+  const newDrafts = drafts.filter(d => !d.duplicateOf);
+  const duplicateDrafts = drafts.filter(d => d.duplicateOf);
+
+  const reporter = { userId: session.userId, username: session.username, messageUrl: session.sourceMessageUrl };
+  const sources = session.sourceMessages;
+
+  session.batch ??= createBatch(session.generatedIssues.length);
+  session.filedIssues ??= [];
+  session.filedComments ??= [];
+  await sessionStore.save(session);
+
+  const results = await createIssues(newDrafts, session.assets, target, { reporter, sources, batch: session.batch });
+  const createdIssues = results.filter(result => result.issue).map(({ draft, issue }) => filedIssue(draft, issue));
+  const failures = results.filter(result => result.error).map(({ draft, error }) => ({ draftId: draft.draftId, error: error.message }));
+  session.filedIssues.push(...createdIssues);
+
+  // Reports marked as duplicates become comments on the existing issue
+  const references = batchReferences(session, target);
+  for (const draft of duplicateDrafts) {
+    try {
+      const comment = await commentOnIssue(
+        draft.duplicateOf,
+        { ...draft, body: replaceBatchReferences(draft.body, references) },
+        session.assets,
+        issueTarget(draft, target),
+        { reporter, sources }
+      );
+      session.filedComments.push({ draftId: draft.draftId, reference: references[draft.draftId], html_url: comment.html_url });
+    } catch (error) {
+      failures.push({ draftId: draft.draftId, error: error.message });
+    }
+  }
+
+  await linkIssuesToThread(createdIssues, session, target)
+    .catch(error => logger.warn('Failed to link issues to the thread', { error }));
+  await usageStore.record(usageScope(session), { issues: results.filter(result => result.issue && !result.reused).length })
+    .catch(error => logger.warn('Failed to record issue usage', { error }));
+
+  if (failures.length) {
+    await offerFailedRetry(session, channel, failures);
+    return;
+  }
+
+  await finishBatch(session, channel);
+}
+
+function batchSummary(session, failures = []) {
+  const draftTitle = draftId => session.generatedIssues.find(d => d.draftId === draftId)?.title ?? `Draft ${draftId}`;
+  const issueCount = session.filedIssues.length;
+
+  return new EmbedBuilder()
+    .setTitle(failures.length
+      ? `⚠️ Created ${issueCount} of ${issueCount + failures.length} Issues`
+      : `✅ Created ${issueCount} Issues`)
+    .setColor(failures.length ? '#FFA500' : '#00FF00')
+    .addFields([
+      ...session.filedIssues.map(issue => ({
+        name: issue.title,
+        value: `[View ${session.config.repos?.length ? issueReference(issue) : `Issue #${issue.number}`}](${issue.html_url})`,
+        inline: true
+      })),
+      ...session.filedComments.map(comment => ({
+        name: `Comment on ${comment.reference}`,
+        value: `[View Comment](${comment.html_url})`,
+        inline: true
+      })),
+      ...failures.map(failure => ({
+        name: `❌ ${draftTitle(failure.draftId)}`.slice(0, 256),
+        value: failure.error.slice(0, 1024),
+        inline: false
+      }))
+    ].slice(0, 25));
+}
+
+async function offerFailedRetry(session, channel, failures) {
+  const summaryMessage = await channel.send({
+    content: '⚠️ Some reports couldn\'t be filed. Retry them, or finish without them:',
+    embeds: [batchSummary(session, failures)],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('retry_failed')
+          .setLabel('🔁 Retry failed')
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId('finish_batch')
+          .setLabel('Finish without them')
+          .setStyle(ButtonStyle.Secondary)
+      )
+    ]
+  });
+
+  session.state = SessionState.PARTIAL;
+  session.failures = failures;
+  session.summaryMessageId = summaryMessage.id;
+  session.expiresAt = Date.now() + PREVIEW_TIMEOUT;
+  await sessionStore.save(session);
+
+  attachFailedRetryHandler(session, channel, summaryMessage);
+}
+
+function attachFailedRetryHandler(session, channel, summaryMessage) {
+  const retryCollector = summaryMessage.createMessageComponentCollector({
+    filter: i => i.user.id === session.userId,
+    time: Math.max(session.expiresAt - Date.now(), 1_000)
+  });
+
+  retryCollector.on('collect', bindCorrelation(session.correlationId, async buttonInteraction => {
+    if (buttonInteraction.customId === 'retry_failed') {
+      const refusal = await checkQuota(usageScope(session), session.config, ['issues']);
+      if (refusal) return buttonInteraction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+    }
+
+    retryCollector.stop('handled');
+    await buttonInteraction.update({ components: [] });
+
+    try {
+      if (buttonInteraction.customId === 'retry_failed') {
+        const failedIds = session.failures.map(failure => failure.draftId);
+        await fileIssues(session, channel, session.generatedIssues.filter(d => failedIds.includes(d.draftId)));
+      } else {
+        await finishBatch(session, channel, session.failures);
+      }
+    } catch (error) {
+      logger.error('Retrying failed issues failed', { error });
+      await channel.send(`❌ Error: ${error.message}`);
+    }
+  }));
+
+  // Unanswered retries finish with what was filed
+  retryCollector.on('end', bindCorrelation(session.correlationId, async (_, reason) => {
+    if (reason !== 'time') return;
+    summaryMessage.edit({ components: [] })
+      .catch(error => logger.warn('Failed to clear retry buttons', { error }));
+    await finishBatch(session, channel, session.failures)
+      .catch(error => logger.error('Failed to finish the batch', { error }));
+  }));
+}
+
+// Cross-references are linked once no retry is pending, so they can point at every issue in the batch
+async function finishBatch(session, channel, skipped = []) {
+  const target = targetFromConfig(session.config);
+  await linkBatchReferences(session.filedIssues, batchReferences(session, target));
+  await sessionStore.delete(session);
+
+  await channel.send({
+    embeds: [batchSummary(session, skipped)],
+    content: skipped.length ? 'Issues created; the reports that failed were not filed:' : 'Issues successfully created:'
+  });
+
+  if (session.trigger) {
+    const links = [
+      ...session.filedIssues.map(issue => `[${issueReference(issue)}](<${issue.html_url}>)`),
+      ...session.filedComments.map(comment => `[comment on ${comment.reference}](<${comment.html_url}>)`)
+    ];
+    await markTriggerMessage(channel.client, session.trigger, links)
+      .catch(error => logger.warn('Failed to mark the reported message', { error }));
+  }
+
+  if (session.createdThread) await channel.setArchived(true);
+}
+
+// Reaction captures leave a ✅ and the issue links on the original report
+async function markTriggerMessage(client, { channelId, messageId }, links) {
+  const sourceChannel = await client.channels.fetch(channelId);
+  const message = await sourceChannel.messages.fetch(messageId);
+  await message.react('✅');
+  await message.reply({ content: `📌 Filed as ${links.join(', ')}`, allowedMentions: { repliedUser: false } });
+}
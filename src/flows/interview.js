@@ -0,0 +1,95 @@
+import { reviewReport } from '../utils/openai-utils.js';
+import { targetFromConfig } from '../utils/config-store.js';
+import { sessionStore } from '../utils/session-store.js';
+import { trackGeneration } from '../utils/usage-store.js';
+import { checkQuota } from '../utils/permissions.js';
+import { resolveTemplates } from '../utils/template-utils.js';
+import { logger } from '../utils/logger.js';
+
+// Reporters often send a report over several messages, so reviews wait for a pause
+const REVIEW_DELAY = parseInt(process.env.INTERVIEW_DELAY || '20', 10) * 1000;
+const MAX_ROUNDS = parseInt(process.env.INTERVIEW_MAX_ROUNDS || '3', 10);
+
+// Review the collected report after each pause; ask follow-up questions until it's complete,
+// then stop the collector with reason 'ready' so the drafts are generated
+export function createInterviewer(session, channel, collector, { onExtend } = {}) {
+  let timer = null;
+  let reviewing = false;
+  let reviewedLength = 0;
+
+  const review = async () => {
+    timer = null;
+    if (collector.ended || reviewing) return;
+    reviewing = true;
+    reviewedLength = session.assets.text.length;
+
+    try {
+      if (session.interview.rounds >= MAX_ROUNDS) {
+        await channel.send('✅ Thanks, that should be enough. Drafting the issues now...');
+        collector.stop('ready');
+        return;
+      }
+
+      const scope = { guildId: session.guildId, userId: session.userId };
+      const refusal = await checkQuota(scope, session.config, ['generations']);
+      if (refusal) {
+        session.interview = null;
+        await sessionStore.save(session);
+        await channel.send(`${refusal}\nNo more follow-up questions; type \`!done\` when you're finished.`);
+        return;
+      }
+
+      session.templates ??= await resolveTemplates(session.config, targetFromConfig(session.config));
+      const { ready, questions } = await reviewReport(session.assets, channel, {
+        ...session.config,
+        templates: session.templates,
+        onUsage: trackGeneration(scope, { generations: 0 })
+      });
+
+      // !done may have arrived while the model was reviewing
+      if (collector.ended) return;
+
+      if (ready) {
+        await channel.send('✅ Thanks, I have what I need. Drafting the issues now...');
+        collector.stop('ready');
+        return;
+      }
+
+      // Recorded with the report so the next review and the final generation see what was asked
+      session.assets.text.push(`Follow-up questions:\n${questions.map(q => `- ${q.question}`).join('\n')}`);
+      session.interview.rounds += 1;
+      reviewedLength += 1;
+      onExtend?.();
+      await sessionStore.save(session);
+
+      await channel.send(
+        `🤔 A few questions before I write this up:\n${questions.map((q, i) => `${i + 1}. ${q.question}`).join('\n')}\n` +
+        'Answer in as many messages as you like, or type `!done` to draft the issues now.'
+      );
+    } catch (error) {
+      logger.error('Report review failed', { error });
+      session.interview = null;
+      await sessionStore.save(session);
+      await channel.send(`⚠️ Couldn't review your report (${error.message}). Keep sending details, then type \`!done\``);
+    } finally {
+      reviewing = false;
+      // Answers sent during the review get a review of their own
+      if (session.interview && session.assets.text.length > reviewedLength) schedule();
+    }
+  };
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => review().catch(error => logger.error('Interview failed', { error })), REVIEW_DELAY);
+  }
+
+  return {
+    schedule() {
+      if (session.interview && !reviewing) schedule();
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
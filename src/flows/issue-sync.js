@@ -0,0 +1,309 @@
+import { EmbedBuilder } from 'discord.js';
+import { Webhooks, createNodeMiddleware } from '@octokit/webhooks';
+import {
+  issueReference, addIssueComment, getIssueActivity, getIssueStatus, getClosingIssues
+} from '../utils/github-utils.js';
+import { issueThreadStore } from '../utils/issue-thread-store.js';
+import { configStore, configScope } from '../utils/config-store.js';
+import { sessionStore } from '../utils/session-store.js';
+import { addHttpHandler } from '../utils/http-server.js';
+import { withCorrelation } from '../utils/correlation.js';
+import { logger } from '../utils/logger.js';
+
+const WEBHOOK_PATH = '/github/webhooks';
+const POLL_INTERVAL = parseInt(process.env.SYNC_POLL_INTERVAL || '300', 10) * 1000;
+// Closed issues keep syncing for a while so follow-up discussion still reaches the thread
+const CLOSED_RETENTION = parseInt(process.env.SYNC_RETENTION_DAYS || '14', 10) * 24 * 60 * 60 * 1000;
+
+// Comments posted from Discord carry this marker so they aren't relayed back
+const RELAY_MARKER = '<!-- relayed from Discord -->';
+
+const UPDATE_COLORS = {
+  comment: '#7289DA',
+  closed: '#8957E5',
+  reopened: '#238636',
+  assigned: '#D29922',
+  unassigned: '#D29922',
+  status: '#1F6FEB',
+  pull_request: '#238636',
+  merged: '#8957E5'
+};
+
+const parseReference = reference => {
+  const [repoName, number] = reference.split('#');
+  const [owner, repo] = repoName.split('/');
+  return { owner, repo, number: Number(number) };
+};
+
+const linkTarget = link => {
+  const { owner, repo } = parseReference(link.reference);
+  return { owner, repo, projectNumber: link.projectNumber };
+};
+
+// Remember which thread each created issue came from
+export async function linkIssuesToThread(createdIssues, session, target) {
+  for (const issue of createdIssues) {
+    await issueThreadStore.save({
+      reference: issueReference(issue),
+      nodeId: issue.node_id,
+      title: issue.title,
+      url: issue.html_url,
+      projectNumber: target.projectNumber,
+      channelId: session.channelId,
+      guildId: session.guildId,
+      userId: session.userId,
+      isDM: session.isDM,
+      status: null,
+      closedAt: null,
+      lastSyncedAt: issue.created_at
+    });
+  }
+}
+
+// Relay GitHub activity through a webhook receiver when a secret is set, polling otherwise
+export async function startIssueSync(client) {
+  client.on('messageCreate', message => withCorrelation({}, () => relayThreadReply(message))
+    .catch(error => logger.error('Failed to relay thread reply', { error })));
+
+  await pruneLinks();
+
+  if (process.env.GITHUB_WEBHOOK_SECRET) {
+    startWebhookServer(client);
+  } else if (POLL_INTERVAL > 0) {
+    logger.info(`Polling linked issues every ${POLL_INTERVAL / 1000}s`);
+
+    // The next poll waits for this one to finish, so slow polls can't relay the same events twice
+    const poll = () => withCorrelation({}, () => pollLinkedIssues(client))
+      .catch(error => logger.error('Polling linked issues failed', { error }))
+      .finally(() => setTimeout(poll, POLL_INTERVAL));
+    setTimeout(poll, POLL_INTERVAL);
+  }
+}
+
+function describeUpdate(update) {
+  switch (update.kind) {
+    case 'comment':
+      return `💬 **${update.actor}** commented:\n${update.body.length > 1500 ? `${update.body.slice(0, 1500)}…` : update.body}`;
+    case 'closed':
+      return update.reason === 'not_planned'
+        ? `🚫 Closed as not planned by **${update.actor}**`
+        : `✅ Closed as completed by **${update.actor}**`;
+    case 'reopened':
+      return `🔄 Reopened by **${update.actor}**`;
+    case 'assigned':
+      return `👤 Assigned to **${update.assignee}**`;
+    case 'unassigned':
+      return `👤 **${update.assignee}** was unassigned`;
+    case 'status':
+      return `📋 Moved to **${update.status}**`;
+    case 'pull_request':
+      return `🔀 Linked pull request [#${update.number} ${update.title}](${update.url}) by **${update.actor}**`;
+    case 'merged':
+      return `🟣 Pull request [#${update.number} ${update.title}](${update.url}) was merged`;
+  }
+}
+
+// Post one update into the issue's thread, reopening an archived thread first
+async function relayUpdate(client, link, update) {
+  const channel = await client.channels.fetch(link.channelId).catch(() => null);
+  if (!channel) {
+    logger.warn(`Thread for ${link.reference} is gone; no longer syncing it`);
+    await issueThreadStore.delete(link.reference);
+    return;
+  }
+
+  if (!link.isDM && channel.archived) await channel.setArchived(false);
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: link.reference })
+    .setTitle(link.title.slice(0, 256))
+    .setURL(update.url ?? link.url)
+    .setDescription(describeUpdate(update))
+    .setColor(UPDATE_COLORS[update.kind]);
+
+  // Ping the reporter for the updates they'd want to answer
+  const mention = ['comment', 'closed'].includes(update.kind) && !link.isDM;
+  await channel.send({
+    content: mention ? `<@${link.userId}>` : undefined,
+    embeds: [embed],
+    allowedMentions: { users: mention ? [link.userId] : [] }
+  });
+
+  if (update.kind === 'status') link.status = update.status;
+  if (update.kind === 'closed') link.closedAt = new Date().toISOString();
+  if (update.kind === 'reopened') link.closedAt = null;
+  await issueThreadStore.save(link);
+  logger.debug(`Relayed ${update.kind} on ${link.reference} to ${link.channelId}`);
+}
+
+function startWebhookServer(client) {
+  const webhooks = new Webhooks({ secret: process.env.GITHUB_WEBHOOK_SECRET });
+
+  const relayTo = async (issue, update) => {
+    const link = await issueThreadStore.get(issueReference(issue));
+    if (link) await relayUpdate(client, link, update);
+  };
+
+  webhooks.on('issue_comment.created', ({ payload }) => {
+    if (payload.comment.body?.includes(RELAY_MARKER)) return;
+    return relayTo(payload.issue, {
+      kind: 'comment',
+      actor: payload.comment.user.login,
+      body: payload.comment.body ?? '',
+      url: payload.comment.html_url
+    });
+  });
+
+  webhooks.on(['issues.closed', 'issues.reopened'], ({ payload }) => relayTo(payload.issue, {
+    kind: payload.action,
+    actor: payload.sender.login,
+    reason: payload.issue.state_reason
+  }));
+
+  webhooks.on(['issues.assigned', 'issues.unassigned'], ({ payload }) => relayTo(payload.issue, {
+    kind: payload.action,
+    actor: payload.sender.login,
+    assignee: payload.assignee?.login
+  }));
+
+  // Only pull requests that will close a linked issue are announced
+  webhooks.on(['pull_request.opened', 'pull_request.closed'], async ({ payload }) => {
+    const pr = payload.pull_request;
+    if (payload.action === 'closed' && !pr.merged) return;
+
+    const [owner, repo] = payload.repository.full_name.split('/');
+    for (const reference of await getClosingIssues(pr.number, { owner, repo })) {
+      const link = await issueThreadStore.get(reference);
+      if (!link) continue;
+      await relayUpdate(client, link, {
+        kind: pr.merged ? 'merged' : 'pull_request',
+        actor: pr.user.login,
+        number: pr.number,
+        title: pr.title,
+        url: pr.html_url
+      });
+    }
+  });
+
+  // Project events carry node ids only, so the new Status is read back from the board
+  webhooks.on('projects_v2_item.edited', async ({ payload }) => {
+    if (payload.projects_v2_item.content_type !== 'Issue') return;
+    const link = await issueThreadStore.findByNodeId(payload.projects_v2_item.content_node_id);
+    if (!link) return;
+
+    const status = await getIssueStatus(parseReference(link.reference).number, linkTarget(link));
+    if (status && status !== link.status) await relayUpdate(client, link, { kind: 'status', status });
+  });
+
+  webhooks.onError(error => logger.error('GitHub webhook handling failed', { error }));
+
+  const middleware = createNodeMiddleware(webhooks, { path: WEBHOOK_PATH, log: logger });
+
+  // Log lines for a delivery carry GitHub's delivery id alongside the correlation ID
+  addHttpHandler((request, response) => withCorrelation(
+    { githubDelivery: request.headers['x-github-delivery'] },
+    () => middleware(request, response)
+  ));
+  logger.info(`Listening for GitHub webhooks on ${WEBHOOK_PATH}`);
+}
+
+// Timeline events map onto the same updates the webhook handlers produce
+function timelineUpdate(event) {
+  switch (event.event) {
+    case 'commented':
+      if (event.body?.includes(RELAY_MARKER)) return null;
+      return { kind: 'comment', actor: event.actor?.login ?? event.user?.login, body: event.body ?? '', url: event.html_url };
+    case 'closed':
+      return { kind: 'closed', actor: event.actor?.login, reason: event.state_reason };
+    case 'reopened':
+      return { kind: 'reopened', actor: event.actor?.login };
+    case 'assigned':
+    case 'unassigned':
+      return { kind: event.event, actor: event.actor?.login, assignee: event.assignee?.login };
+    case 'cross-referenced': {
+      const source = event.source?.issue;
+      if (!source?.pull_request) return null;
+      return { kind: 'pull_request', actor: event.actor?.login, number: source.number, title: source.title, url: source.html_url };
+    }
+    default:
+      return null;
+  }
+}
+
+async function pollLinkedIssues(client) {
+  await pruneLinks();
+
+  for (const link of await issueThreadStore.all()) {
+    try {
+      const { number } = parseReference(link.reference);
+      const target = linkTarget(link);
+      const { issue, events } = await getIssueActivity(number, link.lastSyncedAt, target);
+
+      for (const event of events) {
+        const update = timelineUpdate(event);
+        if (update) await relayUpdate(client, link, update);
+        // Advance per event so a failed relay doesn't replay earlier updates
+        link.lastSyncedAt = event.created_at ?? event.submitted_at ?? link.lastSyncedAt;
+      }
+
+      const status = await getIssueStatus(number, target);
+      // The first poll only records where the issue was placed
+      if (status && !link.status) {
+        link.status = status;
+      } else if (status && status !== link.status) {
+        await relayUpdate(client, link, { kind: 'status', status });
+      }
+
+      link.closedAt = issue.closed_at;
+      await issueThreadStore.save(link);
+    } catch (error) {
+      logger.warn(`Sync failed for ${link.reference}: ${error.message}`);
+    }
+  }
+}
+
+async function pruneLinks() {
+  for (const link of await issueThreadStore.all()) {
+    if (link.closedAt && Date.now() - Date.parse(link.closedAt) > CLOSED_RETENTION) {
+      logger.info(`Stopped syncing ${link.reference}, closed since ${link.closedAt}`);
+      await issueThreadStore.delete(link.reference);
+    }
+  }
+}
+
+// Replies in a linked thread become comments, written as the author's linked GitHub account when possible
+async function relayThreadReply(message) {
+  if (message.author.bot || !message.content) return;
+
+  const links = await issueThreadStore.findByChannel(message.channelId);
+  if (!links.length) return;
+
+  // DM channels are reused, so messages for a new report in progress stay out of old issues
+  if (sessionStore.get(message.channelId, message.author.id)) return;
+
+  const scope = links[0].isDM ? { guildId: links[0].guildId, channelId: null } : configScope(message.channel);
+  const config = await configStore.resolve(scope);
+  if (!config.relayReplies) return;
+
+  // Threads with several issues need the reply to name one, e.g. "#12"
+  const mentioned = [...message.content.matchAll(/#(\d+)/g)].map(match => Number(match[1]));
+  const link = links.length === 1
+    ? links[0]
+    : links.find(l => mentioned.includes(parseReference(l.reference).number));
+
+  if (!link) {
+    await message.reply(`ℹ️ This thread tracks ${links.map(l => l.reference).join(', ')}. Mention an issue number (e.g. \`#${parseReference(links[0].reference).number}\`) to post your reply there.`);
+    return;
+  }
+
+  const { number } = parseReference(link.reference);
+  try {
+    await addIssueComment(number, `${message.content}\n\n${RELAY_MARKER}`, linkTarget(link), {
+      reporter: { userId: message.author.id, username: message.author.username, messageUrl: message.url, verb: 'Posted' }
+    });
+    await message.react('📨');
+  } catch (error) {
+    logger.error(`Failed to post reply to ${link.reference}`, { error });
+    await message.react('⚠️');
+  }
+}
@@ -0,0 +1,174 @@
+import {
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle,
+  StringSelectMenuBuilder, UserSelectMenuBuilder, MessageFlags
+} from 'discord.js';
+import {
+  getIssueDetails, listRepositoryLabels, addIssueComment, setIssueLabels, addIssueAssignees, setIssueState
+} from '../utils/github-utils.js';
+import { githubLinkStore } from '../utils/github-auth.js';
+import { buildIssueDetailEmbed } from '../utils/discord-utils.js';
+import { logger } from '../utils/logger.js';
+
+const VIEW_TIMEOUT = 600_000; // 10 minutes
+const MODAL_TIMEOUT = 300_000; // 5 minutes
+
+function buildLinkRow(issue) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setLabel('Open on GitHub')
+      .setURL(issue.url)
+      .setStyle(ButtonStyle.Link)
+  );
+}
+
+function buildActionRows(issue, repoLabels) {
+  const closed = issue.state === 'CLOSED';
+  const rows = [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('issue_comment')
+        .setLabel('💬 Comment')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(closed ? 'issue_reopen' : 'issue_close')
+        .setLabel(closed ? '🔄 Reopen' : '✅ Close')
+        .setStyle(closed ? ButtonStyle.Success : ButtonStyle.Danger),
+      ...buildLinkRow(issue).components
+    ),
+    new ActionRowBuilder().addComponents(
+      new UserSelectMenuBuilder()
+        .setCustomId('issue_assign')
+        .setPlaceholder('Assign to…')
+        .setMinValues(1)
+        .setMaxValues(5)
+    )
+  ];
+
+  // Select menus hold 25 options, so current labels go first and the rest fill up the menu
+  const current = issue.labels.nodes.map(label => label.name);
+  const options = [...new Set([...current, ...repoLabels.map(label => label.name)])].slice(0, 25);
+
+  if (options.length) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('issue_labels')
+        .setPlaceholder('Labels')
+        .setMinValues(0)
+        .setMaxValues(options.length)
+        .addOptions(options.map(name => ({ label: name.slice(0, 100), value: name, default: current.includes(name) })))
+    ));
+  }
+
+  return rows;
+}
+
+function buildCommentModal(issue) {
+  return new ModalBuilder()
+    .setCustomId(`issue_comment_modal:${issue.number}`)
+    .setTitle(`Comment on #${issue.number}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('comment')
+          .setLabel('Comment')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(4000)
+          .setRequired(true)
+      )
+    );
+}
+
+// Discord users become GitHub logins through their /link-github accounts
+async function resolveAssignees(users) {
+  const logins = [];
+  const unlinked = [];
+  for (const user of users.values()) {
+    const link = await githubLinkStore.get(user.id);
+    link ? logins.push(link.login) : unlinked.push(user.username);
+  }
+  return { logins, unlinked };
+}
+
+// /issue: show one issue with buttons and menus for the common triage actions
+export async function showIssue(interaction, issueNumber, target) {
+  await interaction.deferReply();
+
+  let [issue, repoLabels] = await Promise.all([
+    getIssueDetails(issueNumber, target),
+    listRepositoryLabels(target)
+  ]);
+
+  const render = () => ({
+    embeds: [buildIssueDetailEmbed(issue)],
+    components: buildActionRows(issue, repoLabels)
+  });
+
+  const viewMessage = await interaction.editReply(render());
+
+  const actionCollector = viewMessage.createMessageComponentCollector({
+    filter: i => i.user.id === interaction.user.id,
+    time: VIEW_TIMEOUT
+  });
+
+  actionCollector.on('collect', async component => {
+    const notes = [];
+
+    try {
+      switch (component.customId) {
+        case 'issue_comment': {
+          const modal = buildCommentModal(issue);
+          await component.showModal(modal);
+          const submission = await component.awaitModalSubmit({
+            filter: m => m.customId === modal.data.custom_id && m.user.id === interaction.user.id,
+            time: MODAL_TIMEOUT
+          }).catch(() => null);
+          if (!submission) return;
+          await submission.deferUpdate();
+
+          await addIssueComment(issue.number, submission.fields.getTextInputValue('comment'), target, {
+            reporter: { userId: component.user.id, username: component.user.username, messageUrl: viewMessage.url, verb: 'Posted' }
+          });
+          break;
+        }
+
+        case 'issue_assign': {
+          await component.deferUpdate();
+          const { logins, unlinked } = await resolveAssignees(component.users);
+          if (unlinked.length) notes.push(`${unlinked.join(', ')} ha${unlinked.length === 1 ? 's' : 've'}n't linked a GitHub account (\`/link-github\`).`);
+
+          if (logins.length) {
+            const { rejected } = await addIssueAssignees(issue.number, logins, target);
+            if (rejected.length) notes.push(`GitHub couldn't assign ${rejected.join(', ')} in this repository.`);
+          }
+          break;
+        }
+
+        case 'issue_labels':
+          await component.deferUpdate();
+          await setIssueLabels(issue.number, component.values, target);
+          break;
+
+        case 'issue_close':
+        case 'issue_reopen':
+          await component.deferUpdate();
+          await setIssueState(issue.number, component.customId === 'issue_close' ? 'closed' : 'open', target);
+          break;
+      }
+
+      issue = await getIssueDetails(issueNumber, target);
+      await interaction.editReply(render());
+
+      if (notes.length) {
+        await component.followUp({ content: `⚠️ ${notes.join('\n')}`, flags: MessageFlags.Ephemeral });
+      }
+    } catch (error) {
+      logger.error('Issue action failed', { error });
+      await component.followUp({ content: `❌ Error: ${error.message}`, flags: MessageFlags.Ephemeral });
+    }
+  });
+
+  actionCollector.on('end', () => {
+    interaction.editReply({ components: [buildLinkRow(issue)] })
+      .catch(error => logger.warn('Failed to clear issue actions', { error }));
+  });
+}
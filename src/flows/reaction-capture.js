@@ -0,0 +1,73 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { configStore, configScope } from '../utils/config-store.js';
+import { checkQuota } from '../utils/permissions.js';
+import { sessionStore } from '../utils/session-store.js';
+import { captureIssue, fetchReplies } from './capture-issue.js';
+import { withCorrelation } from '../utils/correlation.js';
+import { logger } from '../utils/logger.js';
+
+const FILED_EMOJI = '✅';
+
+// Messages whose replies and attachments are being gathered; once the session is saved,
+// the session store keeps a second moderator's reaction from starting another draft
+const inProgress = new Set();
+
+// Moderators file reported messages by reacting with a trigger emoji configured for the channel
+export function startReactionCapture(client) {
+  client.on('messageReactionAdd', (reaction, user) => withCorrelation({ userId: user.id }, () => handleReaction(reaction, user))
+    .catch(error => logger.error('Reaction capture failed', { error })));
+}
+
+// Triage roles when configured, otherwise anyone who can manage messages in the channel
+function canTriage(member, channel, config) {
+  return config.triageRoles?.length
+    ? config.triageRoles.some(roleId => member.roles.cache.has(roleId))
+    : member.permissionsIn(channel).has(PermissionFlagsBits.ManageMessages);
+}
+
+async function handleReaction(reaction, user) {
+  if (user.bot) return;
+  // Reactions on messages sent before the bot started arrive as partials
+  if (reaction.partial) await reaction.fetch();
+  const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+  if (!message.guild) return;
+
+  const config = await configStore.resolve(configScope(message.channel));
+  const trigger = config.reactionTriggers?.find(t => t.key === (reaction.emoji.id ?? reaction.emoji.name));
+  if (!trigger) return;
+
+  const member = await message.guild.members.fetch(user.id);
+  if (!canTriage(member, message.channel, config)) {
+    logger.debug(`Ignoring ${trigger.emoji} from ${user.tag}: not allowed to triage`);
+    return;
+  }
+
+  if (inProgress.has(message.id) || sessionStore.findByTrigger(message.id) || message.reactions.cache.get(FILED_EMOJI)?.me) {
+    logger.debug(`Ignoring ${trigger.emoji} from ${user.tag}: ${message.url} is already being drafted or was filed`);
+    return;
+  }
+
+  const refusal = await checkQuota({ guildId: message.guildId, userId: user.id }, config, ['generations', 'issues']);
+  if (refusal) {
+    await user.send(refusal).catch(() => logger.info(`Couldn't DM quota refusal to ${user.tag}`));
+    return;
+  }
+
+  inProgress.add(message.id);
+  try {
+    logger.info(`${user.tag} reacted ${trigger.emoji} on ${message.url}; drafting with template ${trigger.template}`);
+    const messages = [message, ...await fetchReplies(message)];
+    await captureIssue(message.channel, messages, {
+      user,
+      guildId: message.guildId,
+      config,
+      template: trigger.template,
+      trigger: { channelId: message.channelId, messageId: message.id }
+    });
+  } catch (error) {
+    logger.error(`Couldn't capture ${message.url}`, { error });
+    await user.send(`❌ Couldn't file ${message.url}: ${error.message}`).catch(() => {});
+  } finally {
+    inProgress.delete(message.id);
+  }
+}
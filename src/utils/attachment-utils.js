@@ -0,0 +1,81 @@
+import path from 'path';
+import { storeAttachment, downloadAttachment } from './storage-utils.js';
+import { logger } from './logger.js';
+
+export const AttachmentKind = {
+  IMAGE: 'image',
+  TEXT: 'text',
+  BINARY: 'binary'
+};
+
+const MB = 1024 * 1024;
+
+export const SIZE_LIMITS = {
+  [AttachmentKind.IMAGE]: 10 * MB,
+  [AttachmentKind.TEXT]: 2 * MB,
+  [AttachmentKind.BINARY]: 25 * MB
+};
+
+// Head + tail excerpt kept for the model and the issue body
+const TEXT_EXCERPT_LIMIT = 10_000;
+
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.log', '.json', '.md', '.csv', '.xml', '.yml', '.yaml', '.ini', '.conf',
+  '.trace', '.stack', '.out', '.err', '.js', '.ts', '.py', '.java', '.sh', '.sql', '.html', '.css'
+]);
+
+const TEXT_CONTENT_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript'];
+
+export function classifyAttachment({ name, contentType }) {
+  const type = contentType?.split(';')[0].trim().toLowerCase() ?? '';
+  if (type.startsWith('image/')) return AttachmentKind.IMAGE;
+  if (type.startsWith('text/') || TEXT_CONTENT_TYPES.includes(type)) return AttachmentKind.TEXT;
+  if (TEXT_EXTENSIONS.has(path.extname(name ?? '').toLowerCase())) return AttachmentKind.TEXT;
+  return AttachmentKind.BINARY;
+}
+
+// Logs put the failure at the end, so the tail gets the larger share
+export function excerptText(content, limit = TEXT_EXCERPT_LIMIT) {
+  if (content.length <= limit) return { excerpt: content, truncated: false };
+
+  const head = Math.floor(limit * 0.3);
+  const tail = limit - head;
+  const omitted = content.length - limit;
+  return {
+    excerpt: `${content.slice(0, head)}\n\n... [${omitted} characters omitted] ...\n\n${content.slice(-tail)}`,
+    truncated: true
+  };
+}
+
+// Download, store and file a Discord attachment into the session assets by kind
+export async function collectAttachment(attachment, assets, target) {
+  const kind = classifyAttachment(attachment);
+  const limit = SIZE_LIMITS[kind];
+
+  if (attachment.size > limit) {
+    throw new Error(`${attachment.name} is ${(attachment.size / MB).toFixed(1)} MB; ${kind} attachments are limited to ${limit / MB} MB`);
+  }
+
+  const buffer = await downloadAttachment(attachment.url);
+  const record = await storeAttachment(attachment, buffer, target);
+  logger.debug(`Collected ${kind} attachment ${attachment.name}`, { size: buffer.length });
+
+  assets.files ??= [];
+
+  switch (kind) {
+    case AttachmentKind.IMAGE:
+      assets.images.push(record);
+      break;
+
+    case AttachmentKind.TEXT: {
+      const { excerpt, truncated } = excerptText(buffer.toString('utf8'));
+      assets.files.push({ ...record, kind, content: excerpt, truncated });
+      break;
+    }
+
+    default:
+      assets.files.push({ ...record, kind });
+  }
+
+  return kind;
+}
@@ -0,0 +1,325 @@
+import { logger } from './logger.js';
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+import { defaultTarget, validateRepository, validateProject, validateLabels } from './github-utils.js';
+import { resolveTemplates, findTemplate } from './template-utils.js';
+import { llmProviderNames } from './llm-providers.js';
+
+// Daily quota keys accepted by the `quotas` setting
+export const QUOTA_KEYS = ['userGenerations', 'guildGenerations', 'userIssues', 'guildIssues'];
+
+const splitList = value => value.split(',').map(v => v.trim()).filter(Boolean);
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// `daily 09:00` or `weekly mon 09:00`, in the bot's local time (TZ)
+export function parseDigestSchedule(value) {
+  const match = value.trim().toLowerCase().match(/^(daily|weekly\s+(\w{3})\w*)\s+(\d{1,2}):(\d{2})$/);
+  const weekday = match?.[2] ? WEEKDAYS.indexOf(match[2]) : null;
+  const [hour, minute] = [Number(match?.[3]), Number(match?.[4])];
+  if (!match || weekday === -1 || hour > 23 || minute > 59) {
+    throw new Error('Use `daily HH:MM` or `weekly <day> HH:MM`, e.g. `weekly mon 09:00`');
+  }
+  return { frequency: weekday === null ? 'daily' : 'weekly', weekday, hour, minute };
+}
+
+export function formatDigestSchedule({ frequency, weekday, hour, minute }) {
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  return frequency === 'weekly' ? `weekly ${WEEKDAYS[weekday]} ${time}` : `daily ${time}`;
+}
+
+// Settings editable through /config, with parsing and GitHub validation at save time
+export const CONFIG_KEYS = {
+  repo: {
+    description: 'Target repository (owner/name)',
+    async parse(value) {
+      const [owner, repo, ...rest] = value.trim().split('/');
+      if (!owner || !repo || rest.length) throw new Error('Use the form `owner/name`');
+      const repository = await validateRepository(owner, repo);
+      return repository.full_name;
+    }
+  },
+  repos: {
+    description: 'Candidate repos the AI routes issues to (owner/name: description; ...)',
+    async parse(value) {
+      const entries = value.split(';').map(entry => entry.trim()).filter(Boolean);
+      if (!entries.length) throw new Error('List at least one `owner/name: description` entry');
+
+      const repos = [];
+      for (const entry of entries) {
+        const [name, ...description] = entry.split(':');
+        const [owner, repo, ...rest] = name.trim().split('/');
+        if (!owner || !repo || rest.length) throw new Error(`\`${name.trim()}\` is not in the form \`owner/name\``);
+        const repository = await validateRepository(owner, repo);
+        repos.push({ repo: repository.full_name, description: description.join(':').trim() });
+      }
+      return repos;
+    }
+  },
+  projectNumber: {
+    description: 'GitHub project (board) number',
+    async parse(value, { config }) {
+      const projectNumber = parseInt(value, 10);
+      if (!Number.isInteger(projectNumber) || projectNumber <= 0) throw new Error('Project number must be a positive integer');
+      await validateProject({ ...targetFromConfig(config), projectNumber });
+      return projectNumber;
+    }
+  },
+  defaultLabels: {
+    description: 'Labels added to every new issue (comma separated)',
+    async parse(value, { config }) {
+      const labels = splitList(value);
+      await validateLabels(labels, targetFromConfig(config));
+      return labels;
+    }
+  },
+  templates: {
+    description: 'Limit the issue templates offered to the AI (comma separated names)',
+    async parse(value, { config }) {
+      const available = await resolveTemplates(config, targetFromConfig(config), { filter: false });
+      const names = splitList(value);
+      const unknown = names.filter(name => !findTemplate(available, name));
+      if (unknown.length) {
+        throw new Error(`Unknown templates: ${unknown.join(', ')} (available: ${available.map(t => t.name).join(', ')})`);
+      }
+      return names.map(name => findTemplate(available, name).name);
+    }
+  },
+  allowedRoles: {
+    description: 'Roles allowed to use the bot (comma separated mentions or IDs)',
+    async parse(value, { guild }) {
+      const roleIds = splitList(value).map(v => v.replace(/[<@&>]/g, ''));
+      const unknown = roleIds.filter(id => !guild.roles.cache.has(id));
+      if (unknown.length) throw new Error(`Unknown roles: ${unknown.join(', ')}`);
+      return roleIds;
+    }
+  },
+  commandRules: {
+    description: 'Per-command allow/deny rules (command allow|deny @role|#channel; ...)',
+    async parse(value, { guild }) {
+      return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [command, effect, mention, ...rest] = entry.split(/\s+/);
+        if (!command || !/^(\*|[\w-]+)$/.test(command) || !['allow', 'deny'].includes(effect) || !mention || rest.length) {
+          throw new Error(`\`${entry}\` should look like \`create-issue allow @Role\` or \`* deny #channel\``);
+        }
+
+        const role = mention.match(/^<@&(\d+)>$/);
+        const channel = mention.match(/^<#(\d+)>$/);
+        if (role && guild.roles.cache.has(role[1])) return { command, effect, type: 'role', id: role[1] };
+        if (channel && guild.channels.cache.has(channel[1])) return { command, effect, type: 'channel', id: channel[1] };
+        throw new Error(`\`${mention}\` is not a role or channel in this server`);
+      });
+    }
+  },
+  quotas: {
+    description: `Daily limits (${QUOTA_KEYS.join(', ')}), e.g. userGenerations=10, guildIssues=100`,
+    async parse(value) {
+      return Object.fromEntries(splitList(value).map(entry => {
+        const [key, limit] = entry.split('=').map(part => part.trim());
+        const parsedLimit = parseInt(limit, 10);
+        if (!QUOTA_KEYS.includes(key)) throw new Error(`Unknown quota \`${key}\`; use ${QUOTA_KEYS.join(', ')}`);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 0) throw new Error(`Quota \`${key}\` needs a whole number`);
+        return [key, parsedLimit];
+      }));
+    }
+  },
+  dailyBudget: {
+    description: 'Daily AI spend limit for this server in USD',
+    async parse(value) {
+      const budget = parseFloat(value.replace('$', ''));
+      if (!Number.isFinite(budget) || budget < 0) throw new Error('Budget must be a non-negative number of dollars');
+      return budget;
+    }
+  },
+  reactionTriggers: {
+    description: 'Emoji that file a message as an issue (emoji=Template; ...), usually per channel',
+    async parse(value, { config }) {
+      const available = await resolveTemplates(config, targetFromConfig(config), { filter: false });
+      return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [emoji, name] = entry.split('=').map(part => part?.trim());
+        if (!emoji || !name) throw new Error(`\`${entry}\` should look like \`🐛=Bug\``);
+
+        const template = findTemplate(available, name);
+        if (!template) throw new Error(`Unknown template \`${name}\` (available: ${available.map(t => t.name).join(', ')})`);
+
+        // Reactions report custom emoji by ID and built-in emoji by the character itself
+        const custom = emoji.match(/^<a?:\w+:(\d+)>$/);
+        return { emoji, key: custom ? custom[1] : emoji, template: template.name };
+      });
+    }
+  },
+  triageRoles: {
+    description: 'Roles whose reactions file issues (comma separated); empty means Manage Messages',
+    async parse(value, { guild }) {
+      const roleIds = splitList(value).map(v => v.replace(/[<@&>]/g, ''));
+      const unknown = roleIds.filter(id => !guild.roles.cache.has(id));
+      if (unknown.length) throw new Error(`Unknown roles: ${unknown.join(', ')}`);
+      return roleIds;
+    }
+  },
+  relayReplies: {
+    description: 'Post replies in issue threads as GitHub comments (true/false)',
+    async parse(value) {
+      const flag = value.trim().toLowerCase();
+      if (!['true', 'false'].includes(flag)) throw new Error('Use `true` or `false`');
+      return flag === 'true';
+    }
+  },
+  digest: {
+    description: 'Post a board digest to this channel (daily HH:MM or weekly <day> HH:MM)',
+    async parse(value, { channelId }) {
+      if (!channelId) throw new Error('Digests are posted to a channel; set this with `scope:this channel`');
+      return formatDigestSchedule(parseDigestSchedule(value));
+    }
+  },
+  staleDays: {
+    description: 'Days in one Status column before a digest lists an item as stuck',
+    async parse(value) {
+      const days = parseInt(value, 10);
+      if (!Number.isInteger(days) || days <= 0) throw new Error('Use a positive whole number of days');
+      return days;
+    }
+  },
+  llmProvider: {
+    description: `LLM provider (${llmProviderNames().join(', ')})`,
+    async parse(value, { config }) {
+      const provider = value.trim().toLowerCase();
+      if (!llmProviderNames().includes(provider)) {
+        throw new Error(`Unknown provider \`${value}\`; use ${llmProviderNames().join(', ')}`);
+      }
+      if (provider === 'openai-compatible' && !config.llmBaseUrl && !process.env.LLM_BASE_URL) {
+        throw new Error('Set `llmBaseUrl` to the server\'s API URL first');
+      }
+      return provider;
+    }
+  },
+  llmModel: {
+    description: 'LLM model used for issue generation',
+    async parse(value) {
+      if (!value.trim()) throw new Error('Model name cannot be empty');
+      return value.trim();
+    }
+  },
+  llmTemperature: {
+    description: 'LLM sampling temperature, from 0 to 2',
+    async parse(value) {
+      const temperature = Number(value.trim());
+      if (!value.trim() || !Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('Temperature must be a number from 0 to 2');
+      }
+      return temperature;
+    }
+  },
+  llmBaseUrl: {
+    description: 'API URL of an openai-compatible LLM server, e.g. http://localhost:11434/v1',
+    async parse(value) {
+      let url;
+      try {
+        url = new URL(value.trim());
+      } catch {
+        throw new Error(`\`${value}\` is not a URL`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('The URL must start with http:// or https://');
+      return url.toString().replace(/\/$/, '');
+    }
+  }
+};
+
+function envDefaults() {
+  const { owner, repo, projectNumber } = defaultTarget();
+  return {
+    repo: owner && repo ? `${owner}/${repo}` : null,
+    repos: [],
+    projectNumber,
+    defaultLabels: [],
+    templates: [],
+    customTemplates: [],
+    allowedRoles: [],
+    commandRules: [],
+    quotas: {},
+    dailyBudget: null,
+    reactionTriggers: [],
+    triageRoles: [],
+    relayReplies: false,
+    digest: null,
+    staleDays: 14,
+    llmProvider: null,
+    llmModel: null,
+    llmTemperature: null,
+    llmBaseUrl: null
+  };
+}
+
+// An issue's own repo (from multi-repo routing) wins over the configured default
+export function targetFromConfig(config, repoName = config.repo) {
+  const [owner, repo] = (repoName ?? '').split('/');
+  return { owner, repo, projectNumber: config.projectNumber };
+}
+
+// Threads inherit the settings of their parent channel
+export function configScope(channel) {
+  return {
+    guildId: channel?.guildId ?? null,
+    channelId: channel?.isThread?.() ? channel.parentId : channel?.id ?? null
+  };
+}
+
+// File-backed store: { [guildId]: { settings, channels: { [channelId]: settings } } }
+export function createFileConfigStore(filePath) {
+  const write = createJSONFileWriter(filePath);
+  let guilds = null;
+
+  const load = async () => {
+    guilds ??= await readJSONFile(filePath, {});
+    return guilds;
+  };
+
+  const scopeSettings = (guildId, channelId, create = false) => {
+    if (create) guilds[guildId] ??= { settings: {}, channels: {} };
+    const guild = guilds[guildId];
+    if (!guild) return {};
+    if (!channelId) return guild.settings;
+    if (create) guild.channels[channelId] ??= {};
+    return guild.channels[channelId] ?? {};
+  };
+
+  return {
+    // Environment defaults, then guild settings, then channel settings
+    async resolve({ guildId, channelId }) {
+      await load();
+      return {
+        ...envDefaults(),
+        ...(guildId && scopeSettings(guildId)),
+        ...(guildId && channelId && scopeSettings(guildId, channelId))
+      };
+    },
+
+    // Every channel with its own settings, for jobs that run per channel
+    async channelScopes() {
+      await load();
+      return Object.entries(guilds).flatMap(([guildId, guild]) =>
+        Object.keys(guild.channels).map(channelId => ({ guildId, channelId })));
+    },
+
+    async get(guildId, channelId = null) {
+      await load();
+      return { ...scopeSettings(guildId, channelId) };
+    },
+
+    async set(guildId, channelId, key, value) {
+      await load();
+      scopeSettings(guildId, channelId, true)[key] = value;
+      logger.info(`Config ${key} set for guild ${guildId}${channelId ? ` channel ${channelId}` : ''}`);
+      await write(guilds);
+    },
+
+    async unset(guildId, channelId, key) {
+      await load();
+      delete scopeSettings(guildId, channelId)[key];
+      await write(guilds);
+    }
+  };
+}
+
+export const configStore = createFileConfigStore(
+  process.env.CONFIG_STORE_PATH || 'data/config.json'
+);
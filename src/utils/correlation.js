@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+export const newCorrelationId = () => randomUUID().slice(0, 8);
+
+// Fields of the current interaction, session or sync run; the logger adds them to every line
+export const correlationContext = () => storage.getStore();
+
+export const currentCorrelationId = () => storage.getStore()?.correlationId;
+
+// Run fn, and everything it awaits or schedules, under a correlation ID (a new one unless given)
+export function withCorrelation(context, fn) {
+  return storage.run({ correlationId: newCorrelationId(), ...context }, fn);
+}
+
+// Collector events arrive from the gateway rather than the command that started the session;
+// wrapping their handlers puts them back under the session's ID
+export const bindCorrelation = (correlationId, handler) =>
+  (...args) => withCorrelation({ correlationId }, () => handler(...args));
@@ -0,0 +1,28 @@
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+
+// File-backed store: { [channelId]: { guildId, lastPostedAt } }, so each digest covers what
+// changed since the previous one in that channel, across restarts
+export function createFileDigestStore(filePath) {
+  const write = createJSONFileWriter(filePath);
+  let digests = null;
+
+  const load = async () => {
+    digests ??= await readJSONFile(filePath, {});
+    return digests;
+  };
+
+  return {
+    async get(channelId) {
+      return (await load())[channelId] ?? null;
+    },
+
+    async set(channelId, digest) {
+      (await load())[channelId] = digest;
+      await write(digests);
+    }
+  };
+}
+
+export const digestStore = createFileDigestStore(
+  process.env.DIGEST_STORE_PATH || 'data/digests.json'
+);
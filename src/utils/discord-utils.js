@@ -0,0 +1,148 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { logger } from './logger.js';
+
+export const ISSUES_PER_PAGE = 5;
+
+const GITHUB_FOOTER = { text: 'GitHub Issues', iconURL: 'https://github.githubassets.com/favicons/favicon.png' };
+
+// Embed listing one page of project items
+export function buildIssuePageEmbed(items, page, title = 'Open Issues') {
+  const totalPages = Math.max(1, Math.ceil(items.length / ISSUES_PER_PAGE));
+  const pageItems = items.slice(page * ISSUES_PER_PAGE, (page + 1) * ISSUES_PER_PAGE);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 ${title} (${items.length})`)
+    .setColor('#7289DA')
+    .setFooter({ ...GITHUB_FOOTER, text: `${GITHUB_FOOTER.text} • Page ${page + 1}/${totalPages}` })
+    .setTimestamp();
+
+  if (pageItems.length === 0) {
+    return embed.setDescription('No issues match these filters.');
+  }
+
+  embed.addFields(pageItems.map(item => {
+    const issue = item.content;
+    const status = item.fieldValueByName?.name || 'No status';
+    const assignees = issue.assignees?.nodes?.map(a => a.login).join(', ') || 'Unassigned';
+    const labels = issue.labels?.nodes?.map(l => l.name).join(', ') || 'None';
+    const bodyPreview = issue.body ? issue.body.slice(0, 100) + (issue.body.length > 100 ? '...' : '') : 'No description';
+
+    return {
+      name: `${issue.title.slice(0, 50)}${issue.title.length > 50 ? '...' : ''}`,
+      value: `[#${issue.number}](${issue.url})\n**Status:** ${status}\n` +
+            `**Assignee:** ${assignees}\n` +
+            `**Labels:** ${labels}\n` +
+            (issue.milestone ? `**Milestone:** ${issue.milestone.title}\n` : '') +
+            `**Description:** ${bodyPreview}`,
+      inline: false
+    };
+  }));
+
+  return embed;
+}
+
+const truncate = (text, limit) => text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+
+// Full view of a single issue, styled like the list pages
+export function buildIssueDetailEmbed(issue) {
+  const closed = issue.state === 'CLOSED';
+  const assignees = issue.assignees.nodes.map(a => a.login).join(', ') || 'Unassigned';
+  const labels = issue.labels.nodes.map(l => l.name).join(', ') || 'None';
+  const pullRequests = issue.closedByPullRequestsReferences.nodes
+    .map(pr => `[#${pr.number} ${truncate(pr.title, 60)}](${pr.url}) (${pr.state.toLowerCase()})`)
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setTitle(truncate(`#${issue.number} ${issue.title}`, 250))
+    .setURL(issue.url)
+    .setDescription(issue.body ? truncate(issue.body, 1500) : 'No description')
+    .setColor(closed ? '#8957E5' : '#7289DA')
+    .setFooter({ ...GITHUB_FOOTER, text: `${GITHUB_FOOTER.text} • Opened by ${issue.author?.login ?? 'ghost'}` })
+    .setTimestamp(new Date(issue.createdAt))
+    .addFields([
+      { name: 'State', value: closed ? `Closed${issue.stateReason === 'NOT_PLANNED' ? ' (not planned)' : ''}` : 'Open', inline: true },
+      { name: 'Status', value: issue.status ?? 'Not on board', inline: true },
+      { name: 'Assignee', value: assignees, inline: true },
+      { name: 'Labels', value: truncate(labels, 1000), inline: true },
+      ...(issue.milestone ? [{ name: 'Milestone', value: issue.milestone.title, inline: true }] : []),
+      ...(pullRequests ? [{ name: 'Linked PRs', value: truncate(pullRequests, 1000), inline: false }] : [])
+    ]);
+
+  if (issue.comments.nodes.length) {
+    embed.addFields({
+      name: `Recent comments (${issue.comments.totalCount})`,
+      value: truncate(issue.comments.nodes
+        .map(comment => `**${comment.author?.login ?? 'ghost'}:** ${truncate(comment.body.replace(/\s+/g, ' '), 200)} [↗](${comment.url})`)
+        .join('\n'), 1024),
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+// Previous/Next buttons plus the project board link
+export function buildPaginationRow(page, totalPages, boardUrl) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('list_prev')
+      .setLabel('◀ Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId('list_next')
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= totalPages - 1)
+  );
+
+  if (boardUrl) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setLabel('View Project Board')
+        .setURL(boardUrl)
+        .setStyle(ButtonStyle.Link)
+    );
+  }
+
+  return row;
+}
+
+// Reply with paged issue embeds; the buttons answer only the person who ran the command, and after
+// five minutes just the board link is left
+export async function replyWithIssuePages(interaction, items, { content, title, boardUrl }) {
+  const totalPages = Math.max(1, Math.ceil(items.length / ISSUES_PER_PAGE));
+  let page = 0;
+
+  const renderPage = () => ({
+    content,
+    embeds: [buildIssuePageEmbed(items, page, title)],
+    components: [buildPaginationRow(page, totalPages, boardUrl)]
+  });
+
+  const listMessage = await interaction.editReply(renderPage());
+
+  const pageCollector = listMessage.createMessageComponentCollector({
+    filter: i => i.user.id === interaction.user.id,
+    time: 300_000 // 5 minutes
+  });
+
+  pageCollector.on('collect', async pageInteraction => {
+    if (pageInteraction.customId === 'list_prev') page = Math.max(0, page - 1);
+    if (pageInteraction.customId === 'list_next') page = Math.min(totalPages - 1, page + 1);
+    await pageInteraction.update(renderPage());
+  });
+
+  pageCollector.on('end', () => {
+    interaction.editReply({
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setLabel('View Project Board')
+            .setURL(boardUrl)
+            .setStyle(ButtonStyle.Link)
+        )
+      ]
+    }).catch(error => logger.warn('Failed to clear pagination buttons', { error }));
+  });
+}
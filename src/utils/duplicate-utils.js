@@ -0,0 +1,68 @@
+import { listRecentIssues, issueTarget } from './github-utils.js';
+import { logger } from './logger.js';
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'when', 'from', 'into', 'are', 'was', 'not',
+  'but', 'have', 'has', 'should', 'would', 'can', 'cannot', 'does', 'doesn', 'issue', 'bug',
+  'feature', 'enhancement', 'description', 'steps', 'reproduce', 'expected', 'actual', 'behavior'
+]);
+
+function tokenize(text = '') {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+// Cosine similarity over term frequencies
+function cosine(a, b) {
+  const tf = tokens => tokens.reduce((counts, t) => counts.set(t, (counts.get(t) || 0) + 1), new Map());
+  const va = tf(a);
+  const vb = tf(b);
+  let dot = 0;
+  for (const [term, count] of va) dot += count * (vb.get(term) || 0);
+  const norm = v => Math.sqrt([...v.values()].reduce((sum, c) => sum + c * c, 0));
+  return dot === 0 ? 0 : dot / (norm(va) * norm(vb));
+}
+
+// Titles carry most of the signal; bodies break ties between similar titles
+export function similarityScore(draft, issue) {
+  const titleScore = cosine(tokenize(draft.title), tokenize(issue.title));
+  const textScore = cosine(tokenize(`${draft.title} ${draft.body}`), tokenize(`${issue.title} ${issue.body}`));
+  return 0.6 * titleScore + 0.4 * textScore;
+}
+
+// Attach likely duplicates from the repository to each draft
+export async function findDuplicateCandidates(drafts, {
+  threshold = parseFloat(process.env.DUPLICATE_THRESHOLD || '0.35'),
+  lookbackDays = parseInt(process.env.DUPLICATE_LOOKBACK_DAYS || '30', 10),
+  limit = 3,
+  target
+} = {}) {
+  // Drafts routed to different repositories are compared against their own repo
+  const issuesByRepo = new Map();
+  const recentIssues = async repoTarget => {
+    const key = `${repoTarget?.owner}/${repoTarget?.repo}`;
+    if (!issuesByRepo.has(key)) issuesByRepo.set(key, await listRecentIssues(lookbackDays, repoTarget));
+    return issuesByRepo.get(key);
+  };
+
+  for (const draft of drafts) {
+    const existingIssues = await recentIssues(target && issueTarget(draft, target));
+    logger.debug(`Comparing draft ${draft.draftId} against ${existingIssues.length} issues`);
+
+    draft.duplicates = existingIssues
+      .map(issue => ({
+        number: issue.number,
+        title: issue.title,
+        html_url: issue.html_url,
+        state: issue.state,
+        score: similarityScore(draft, issue)
+      }))
+      .filter(candidate => candidate.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return drafts;
+}
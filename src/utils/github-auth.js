@@ -0,0 +1,195 @@
+import { Octokit } from '@octokit/rest';
+import { throttling } from '@octokit/plugin-throttling';
+import { retry } from '@octokit/plugin-retry';
+import { createAppAuth } from '@octokit/auth-app';
+import { createOAuthUserAuth } from '@octokit/auth-oauth-user';
+import { logger } from './logger.js';
+import { githubRequestsTotal, githubRequestDuration } from './metrics.js';
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+
+export const usesGitHubApp = () => Boolean(process.env.GITHUB_APP_ID && process.env.GITHUB_APP_PRIVATE_KEY);
+
+export const githubLinkingEnabled = () => Boolean(process.env.GITHUB_OAUTH_CLIENT_ID);
+
+// GitHub Enterprise Server, or the local mock server the tests run against
+const apiOptions = () => (process.env.GITHUB_API_URL ? { baseUrl: process.env.GITHUB_API_URL } : {});
+
+// Paginated follow-up pages arrive as full URLs; ids are folded so routes stay a small label set
+const routeLabel = url => url.replace(/^https?:\/\/[^/]+/, '').split('?')[0].replace(/\/\d+(?=\/|$)/g, '/{id}');
+
+// Count and time every request; the debug line carries GitHub's request id next to ours
+async function observeRequest(request, options) {
+  const labels = { method: options.method, route: routeLabel(options.url) };
+  const stopTimer = githubRequestDuration.startTimer(labels);
+  try {
+    const response = await request(options);
+    githubRequestsTotal.inc({ ...labels, status: response.status });
+    logger.debug(`GitHub ${labels.method} ${labels.route} → ${response.status}`, {
+      githubRequestId: response.headers['x-github-request-id']
+    });
+    return response;
+  } catch (error) {
+    githubRequestsTotal.inc({ ...labels, status: error.status ?? 'network' });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
+
+// Server errors are retried with backoff; rate limits wait for GitHub's retry-after, unless the wait would
+// outlast a Discord interaction, in which case the request fails and the user can retry later
+const GitHubClient = Octokit.plugin(throttling, retry);
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_RATE_LIMIT_WAIT = 120; // seconds
+
+const onLimit = kind => (retryAfter, options, octokit, retryCount) => {
+  const retrying = retryCount < MAX_RATE_LIMIT_RETRIES && retryAfter <= MAX_RATE_LIMIT_WAIT;
+  logger.warn(`GitHub ${kind} rate limit on ${options.method} ${options.url}; ${retrying ? `retrying in ${retryAfter}s` : 'giving up'}`, { retryCount });
+  return retrying;
+};
+
+const throttleOptions = () => ({
+  // Also paces writes (one at a time, content-creating requests seconds apart) as GitHub asks integrations to
+  enabled: process.env.GITHUB_THROTTLE !== 'false',
+  onRateLimit: onLimit('primary'),
+  onSecondaryRateLimit: onLimit('secondary')
+});
+
+// Every client shares the API URL, logger, throttling, retries and request metrics
+function createOctokit(options) {
+  const octokit = new GitHubClient({ ...apiOptions(), log: logger, throttle: throttleOptions(), ...options });
+  octokit.hook.wrap('request', observeRequest);
+  return octokit;
+}
+
+// The bot's own client: a GitHub App installation when configured, otherwise the PAT
+export function createBotOctokit() {
+  if (!usesGitHubApp()) {
+    return createOctokit({ auth: process.env.GITHUB_PAT });
+  }
+
+  if (!process.env.GITHUB_APP_INSTALLATION_ID) {
+    throw new Error('GITHUB_APP_INSTALLATION_ID is required when GITHUB_APP_ID is set');
+  }
+
+  logger.info(`Authenticating as GitHub App ${process.env.GITHUB_APP_ID} (installation ${process.env.GITHUB_APP_INSTALLATION_ID})`);
+
+  // auth-app caches the hour-long installation token and requests a new one when it expires
+  return createOctokit({
+    authStrategy: createAppAuth,
+    auth: {
+      appId: process.env.GITHUB_APP_ID,
+      // Heroku config vars can't hold newlines, so escaped \n sequences are accepted
+      privateKey: process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n'),
+      installationId: process.env.GITHUB_APP_INSTALLATION_ID
+    },
+    log: logger
+  });
+}
+
+// Device flow linking uses the GitHub App's own client when the bot runs as an App
+function oauthClient() {
+  return {
+    clientType: usesGitHubApp() ? 'github-app' : 'oauth-app',
+    clientId: process.env.GITHUB_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GITHUB_OAUTH_CLIENT_SECRET
+  };
+}
+
+// Only the token fields are persisted; client credentials come from the environment
+const storedAuthentication = ({ token, scopes, expiresAt, refreshToken, refreshTokenExpiresAt }) =>
+  ({ token, scopes, expiresAt, refreshToken, refreshTokenExpiresAt });
+
+// File-backed store: { [discordUserId]: { login, authentication, linkedAt } }
+export function createFileLinkStore(filePath) {
+  const write = createJSONFileWriter(filePath);
+  let links = null;
+
+  const load = async () => {
+    links ??= await readJSONFile(filePath, {});
+    return links;
+  };
+
+  return {
+    async get(discordUserId) {
+      return (await load())[discordUserId] ?? null;
+    },
+
+    // The Discord user linked to a GitHub login, e.g. to mention an issue's assignee
+    async findByLogin(login) {
+      const entry = Object.entries(await load()).find(([, link]) => link.login.toLowerCase() === login.toLowerCase());
+      return entry?.[0] ?? null;
+    },
+
+    async set(discordUserId, link) {
+      (await load())[discordUserId] = link;
+      await write(links);
+    },
+
+    async delete(discordUserId) {
+      const existed = Boolean((await load())[discordUserId]);
+      delete links[discordUserId];
+      await write(links);
+      return existed;
+    }
+  };
+}
+
+export const githubLinkStore = createFileLinkStore(
+  process.env.GITHUB_LINK_STORE_PATH || 'data/github-links.json'
+);
+
+// Run the OAuth device flow; onVerification receives the code the user enters on GitHub
+export async function linkGitHubAccount(discordUserId, { onVerification }) {
+  const auth = createOAuthUserAuth({
+    ...oauthClient(),
+    scopes: (process.env.GITHUB_OAUTH_SCOPES || 'repo').split(',').map(scope => scope.trim()),
+    onVerification
+  });
+
+  const authentication = await auth();
+  const { data: user } = await createOctokit({ auth: authentication.token }).users.getAuthenticated();
+
+  await githubLinkStore.set(discordUserId, {
+    login: user.login,
+    authentication: storedAuthentication(authentication),
+    linkedAt: Date.now()
+  });
+  logger.info(`Linked Discord user ${discordUserId} to GitHub account ${user.login}`);
+  return user.login;
+}
+
+export async function unlinkGitHubAccount(discordUserId) {
+  return githubLinkStore.delete(discordUserId);
+}
+
+// Client acting as the reporter's linked GitHub account, or null when there's no usable link
+export async function userOctokit(discordUserId) {
+  if (!githubLinkingEnabled()) return null;
+
+  const link = await githubLinkStore.get(discordUserId);
+  if (!link) return null;
+
+  const { refreshTokenExpiresAt } = link.authentication;
+  if (refreshTokenExpiresAt && Date.parse(refreshTokenExpiresAt) < Date.now()) {
+    logger.warn(`GitHub link for ${link.login} expired; falling back to the bot account`);
+    await githubLinkStore.delete(discordUserId);
+    return null;
+  }
+
+  // GitHub App user tokens expire after 8 hours; refresh tokens are single use, so the new pair is saved
+  let { authentication } = link;
+  if (authentication.expiresAt && Date.parse(authentication.expiresAt) < Date.now() + 60_000) {
+    try {
+      const auth = createOAuthUserAuth({ ...oauthClient(), ...authentication });
+      authentication = storedAuthentication(await auth({ type: 'refresh' }));
+      await githubLinkStore.set(discordUserId, { ...link, authentication });
+    } catch (error) {
+      logger.warn(`Couldn't refresh the GitHub token for ${link.login}: ${error.message}`);
+      await githubLinkStore.delete(discordUserId);
+      return null;
+    }
+  }
+
+  return createOctokit({ auth: authentication.token });
+}
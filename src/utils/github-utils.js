@@ -1,46 +1,558 @@
-import { Octokit } from '@octokit/rest';
+import { randomUUID } from 'crypto';
 import { logger } from './logger.js';
+import { createBotOctokit, userOctokit } from './github-auth.js';
 
-const octokit = new Octokit({ 
-  auth: process.env.GITHUB_PAT,
-  log: logger
-});
+const octokit = createBotOctokit();
+
+// Repository and project a command acts on; defaults to the global env configuration
+export function defaultTarget() {
+  return {
+    owner: process.env.GITHUB_REPO_OWNER?.trim(),
+    repo: process.env.GITHUB_REPO_NAME?.trim(),
+    projectNumber: process.env.GITHUB_PROJECT_NUMBER ? parseInt(process.env.GITHUB_PROJECT_NUMBER, 10) : null
+  };
+}
+
+export const projectBoardUrl = ({ owner, projectNumber }) =>
+  `https://github.com/orgs/${owner}/projects/${projectNumber}/views/1`;
 
 // Core GitHub Operations
-export async function createIssues(issues, assets) {
-  logger.info(`Creating ${issues.length} issues...`);
-  const createdIssues = [];
+
+// Hidden in each issue body so a retried batch recognizes the drafts an earlier attempt filed
+const BATCH_MARKER = /<!-- issue-batch: (\w+)\/(\d+) -->/;
+const batchMarker = (batch, draftId) => `\n\n<!-- issue-batch: ${batch.id}/${draftId} -->`;
+
+// One batch per reported set of drafts; size is the number of drafts in the whole set
+export const createBatch = size => ({
+  id: randomUUID().replace(/-/g, '').slice(0, 12),
+  startedAt: new Date().toISOString(),
+  size
+});
+
+// Issues of the batch already in a repository, by draftId
+async function findBatchIssues(batch, { owner, repo }) {
+  const issues = await octokit.paginate(octokit.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'all',
+    since: batch.startedAt,
+    per_page: 100
+  });
+
+  const filed = new Map();
+  for (const issue of issues) {
+    const [, batchId, draftId] = issue.body?.match(BATCH_MARKER) ?? [];
+    if (batchId === batch.id) filed.set(Number(draftId), issue);
+  }
+  return filed;
+}
+
+// File each draft, returning { draft, issue } or { draft, error } per draft in order; one failure
+// doesn't stop the rest. With a batch, drafts an earlier attempt already filed return that issue
+// with reused: true.
+export async function createIssues(issues, assets, target = defaultTarget(), { reporter, sources, batch } = {}) {
+  logger.info(`Creating ${issues.length} issues in ${target.owner}/${target.repo}...`);
+  const results = [];
+  const board = await resolveBoardPlacement(target, process.env.GITHUB_INITIAL_STATUS);
+  const lookups = new Map();
+  const filedIn = repoTarget => {
+    const key = `${repoTarget.owner}/${repoTarget.repo}`;
+    if (!lookups.has(key)) lookups.set(key, findBatchIssues(batch, repoTarget));
+    return lookups.get(key);
+  };
   
   for (const [index, issue] of issues.entries()) {
+    // A lone issue keeps every attachment; batches rely on the AI's per-issue assignment
+    const attachments = selectIssueAttachments(issue, assets, (batch?.size ?? issues.length) === 1);
+    const { owner, repo } = issueTarget(issue, target);
+
     try {
-      logger.debug(`Creating issue ${index + 1}: ${issue.title.slice(0,30)}...`);
+      const existing = batch && (await filedIn({ owner, repo })).get(issue.draftId);
+      if (existing) {
+        logger.info(`Draft ${issue.draftId} was already filed as #${existing.number}; not filing it again`);
+        results.push({ draft: issue, issue: existing, reused: true });
+        continue;
+      }
+
+      logger.debug(`Creating issue ${index + 1} in ${owner}/${repo}: ${issue.title.slice(0,30)}...`);
       
-      const { data } = await octokit.issues.create({
-        owner: process.env.GITHUB_REPO_OWNER,
-        repo: process.env.GITHUB_REPO_NAME,
+      const { data } = await asReporter(reporter, (client, footer) => client.issues.create({
+        owner,
+        repo,
         title: issue.title,
-        body: `${issue.body}\n\n${assets.images.map(url => `<img src="${url}" width="40%" />`).join('\n')}`,
-        labels: issue.labels
-      });
+        body: formatIssueBody(issue, attachments, sources) + footer + (batch ? batchMarker(batch, issue.draftId) : ''),
+        labels: issue.labels,
+        milestone: issue.milestoneNumber ?? undefined,
+        assignees: issue.assignees?.length ? issue.assignees : undefined,
+        // A timed-out create may still have filed the issue; the batch marker catches that on a manual retry
+        request: { retries: 0 }
+      }));
       
-      createdIssues.push(data);
+      results.push({ draft: issue, issue: data });
       logger.info(`Created issue #${data.number}: ${data.html_url}`);
+
+      if (board) await placeOnBoard(board, data);
     } catch (error) {
       logger.error(`Issue creation failed: ${error.message}`, { issue });
-      throw error;
+      results.push({ draft: issue, error });
     }
   }
   
-  return createdIssues;
+  return results;
+}
+
+// Write as the reporter's linked GitHub account, or as the bot with an attribution footer
+async function asReporter(reporter, write) {
+  const client = reporter && await userOctokit(reporter.userId);
+
+  if (client) {
+    try {
+      return await write(client, '');
+    } catch (error) {
+      // The linked account may not have access to this repository
+      if (![401, 403, 404].includes(error.status)) throw error;
+      logger.warn(`Linked GitHub account of ${reporter.username} was refused (${error.status}); writing as the bot`);
+    }
+  }
+
+  return write(octokit, reporterFooter(reporter));
+}
+
+function reporterFooter(reporter) {
+  if (!reporter) return '';
+  const via = reporter.messageUrl ? `[Discord](${reporter.messageUrl})` : 'Discord';
+  return `\n\n---\n<sub>${reporter.verb ?? 'Reported'} by @${reporter.username} via ${via}</sub>`;
+}
+
+// Issues routed to another repository carry their own owner/name
+export function issueTarget(issue, target) {
+  if (!issue.repo) return target;
+  const [owner, repo] = issue.repo.split('/');
+  return { ...target, owner, repo };
+}
+
+// owner/repo#N, which GitHub links from any repository
+export function issueReference(issue) {
+  const [owner, repo] = issue.repository_url.split('/repos/')[1].split('/');
+  return `${owner}/${repo}#${issue.number}`;
+}
+
+const BATCH_REFERENCE = /\{\{issue:(\d+)\}\}/g;
+
+// Swap {{issue:N}} batch placeholders for real references
+export function replaceBatchReferences(text, references) {
+  return text.replace(BATCH_REFERENCE, (_, position) => references[position] ?? 'a related report');
+}
+
+// Rewrite bodies of created issues once every issue in the batch has a number
+export async function linkBatchReferences(createdIssues, references) {
+  for (const issue of createdIssues) {
+    if (!issue.body?.match(BATCH_REFERENCE)) continue;
+
+    const [owner, repo] = issueReference(issue).split('#')[0].split('/');
+    const body = replaceBatchReferences(issue.body, references);
+
+    try {
+      await octokit.issues.update({ owner, repo, issue_number: issue.number, body });
+      issue.body = body;
+      logger.debug(`Linked batch references in issue #${issue.number}`);
+    } catch (error) {
+      logger.warn(`Failed to link references in issue #${issue.number}: ${error.message}`);
+    }
+  }
+}
+
+function selectIssueAttachments(issue, assets, includeUnassigned) {
+  const pick = (numbers, attachments = []) => numbers?.length
+    ? numbers.map(n => attachments[n - 1]).filter(Boolean)
+    : includeUnassigned ? attachments : [];
+
+  return {
+    images: pick(issue.images, assets.images),
+    files: pick(issue.files, assets.files)
+  };
+}
+
+// Fence that can't be closed early by backticks inside the content
+const codeFence = content => '`'.repeat(Math.max(3, ...(content.match(/`+/g) ?? []).map(run => run.length + 1)));
+
+// GitHub rejects issue bodies over 65,536 characters, so the text files embedded in one share this much
+const MAX_EMBEDDED_TEXT = 30_000;
+
+function formatFile(file) {
+  const fence = codeFence(file.content);
+  return `<details>\n<summary>📄 ${file.name}${file.truncated ? ' (excerpt)' : ''}</summary>\n\n` +
+    `${fence}\n${file.content}\n${fence}\n\n[Full file](${file.url})\n</details>`;
+}
+
+// Text files are embedded in order while they fit; binaries and the text files that don't are linked
+function formatFiles(files) {
+  let room = MAX_EMBEDDED_TEXT;
+  return files.map(file => {
+    if (file.kind !== 'text') return `📎 [${file.name}](${file.url})`;
+    if (file.content.length > room) return `📄 [${file.name}](${file.url}) (too long to include here)`;
+    room -= file.content.length;
+    return formatFile(file);
+  }).join('\n\n');
+}
+
+// Discord messages an issue was captured from; kept in the body so they survive a linked-account author
+function formatSources(sources = []) {
+  if (!sources.length) return '';
+  const links = sources.map(source => `- [${source.author}, ${source.createdAt.slice(0, 16).replace('T', ' ')} UTC](${source.url})`);
+  return `\n\n<details><summary>Source messages (${sources.length})</summary>\n\n${links.join('\n')}\n</details>`;
+}
+
+function formatIssueBody(issue, { images, files }, sources) {
+  return `${issue.body}\n\n${images.map(image => `<img src="${image.url}" width="40%" />`).join('\n')}` +
+    (files.length ? `\n\n${formatFiles(files)}` : '') +
+    formatSources(sources);
+}
+
+// Post a report as a comment on an existing issue instead of filing a duplicate
+export async function commentOnIssue(issueNumber, issue, assets, target = defaultTarget(), { reporter, sources } = {}) {
+  logger.info(`Adding report as comment on issue #${issueNumber}...`);
+
+  const body = `### ${issue.title}\n\n${formatIssueBody(issue, selectIssueAttachments(issue, assets, true), sources)}`;
+  return addIssueComment(issueNumber, body, target, { reporter });
+}
+
+export async function addIssueComment(issueNumber, body, target = defaultTarget(), { reporter } = {}) {
+  try {
+    const { data } = await asReporter(reporter, (client, footer) => client.issues.createComment({
+      owner: target.owner,
+      repo: target.repo,
+      issue_number: issueNumber,
+      body: body + footer
+    }));
+
+    logger.info(`Commented on issue #${issueNumber}: ${data.html_url}`);
+    return data;
+  } catch (error) {
+    logger.error(`Comment creation failed: ${error.message}`, { issueNumber });
+    throw error;
+  }
+}
+
+// Current issue state plus timeline events (comments, assignments, PR links) newer than `since`
+export async function getIssueActivity(issueNumber, since, target = defaultTarget()) {
+  const params = { owner: target.owner, repo: target.repo, issue_number: issueNumber };
+
+  try {
+    const [{ data: issue }, timeline] = await Promise.all([
+      octokit.issues.get(params),
+      octokit.paginate(octokit.issues.listEventsForTimeline, { ...params, per_page: 100 })
+    ]);
+
+    const events = timeline.filter(event => (event.created_at ?? event.submitted_at) > since);
+    return { issue, events };
+  } catch (error) {
+    logger.error(`Failed to fetch activity for issue #${issueNumber}`, { error });
+    throw error;
+  }
+}
+
+// Commit a file through the contents API, creating the target branch if needed
+export async function uploadRepositoryFile(filePath, buffer, { branch, message, target = defaultTarget() }) {
+  const { owner, repo } = target;
+  logger.info(`Uploading ${filePath} to ${owner}/${repo}${branch ? `@${branch}` : ''}...`);
+
+  try {
+    if (branch) await ensureBranch(owner, repo, branch);
+
+    const { data } = await octokit.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path: filePath,
+      message,
+      content: buffer.toString('base64'),
+      ...(branch && { branch })
+    });
+
+    // blob URLs with ?raw=true resolve for private repositories as well
+    return `${data.content.html_url}?raw=true`;
+  } catch (error) {
+    logger.error(`File upload failed: ${error.message}`, { filePath });
+    throw error;
+  }
+}
+
+const knownBranches = new Set();
+
+async function ensureBranch(owner, repo, branch) {
+  const branchKey = `${owner}/${repo}:${branch}`;
+  if (knownBranches.has(branchKey)) return;
+
+  try {
+    await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+
+    logger.info(`Creating branch ${branch} from the default branch...`);
+    const { data: repository } = await octokit.repos.get({ owner, repo });
+    const { data: base } = await octokit.git.getRef({ owner, repo, ref: `heads/${repository.default_branch}` });
+    await octokit.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: base.object.sha });
+  }
+
+  knownBranches.add(branchKey);
+}
+
+// Text files in a repository folder, or an empty list when the folder doesn't exist
+export async function listRepositoryFiles(dirPath, target = defaultTarget()) {
+  try {
+    const { data } = await octokit.repos.getContent({ owner: target.owner, repo: target.repo, path: dirPath });
+    if (!Array.isArray(data)) return [];
+
+    return Promise.all(data.filter(entry => entry.type === 'file').map(async entry => {
+      const { data: file } = await octokit.repos.getContent({ owner: target.owner, repo: target.repo, path: entry.path });
+      return { name: entry.name, content: Buffer.from(file.content, 'base64').toString('utf8') };
+    }));
+  } catch (error) {
+    if (error.status === 404) return [];
+    logger.error(`Failed to list ${dirPath} in ${target.owner}/${target.repo}`, { error });
+    throw error;
+  }
+}
+
+// Text content of one file, or null when it doesn't exist
+export async function getRepositoryFile(filePath, target = defaultTarget()) {
+  try {
+    const { data } = await octokit.repos.getContent({ owner: target.owner, repo: target.repo, path: filePath });
+    return Array.isArray(data) ? null : Buffer.from(data.content, 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Open issues plus issues closed within the lookback window, for duplicate checks
+export async function listRecentIssues(lookbackDays, target = defaultTarget()) {
+  logger.info(`Fetching open and recently closed issues (${lookbackDays} days)...`);
+
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+  const params = {
+    owner: target.owner,
+    repo: target.repo,
+    per_page: 100
+  };
+
+  try {
+    const [open, closed] = await Promise.all([
+      octokit.paginate(octokit.issues.listForRepo, { ...params, state: 'open' }),
+      octokit.paginate(octokit.issues.listForRepo, { ...params, state: 'closed', since })
+    ]);
+
+    // The issues endpoint also returns pull requests
+    return [...open, ...closed.filter(issue => issue.closed_at >= since)]
+      .filter(issue => !issue.pull_request);
+  } catch (error) {
+    logger.error('Failed to list recent issues', { error });
+    throw error;
+  }
+}
+
+// Resolve the project and initial Status option once per batch
+async function resolveBoardPlacement(target, initialStatus) {
+  if (!target.projectNumber) return null;
+
+  try {
+    const projectId = await getProjectDetails(target);
+    const statusField = await getStatusField(projectId);
+    const option = initialStatus
+      ? statusField?.options.find(o => o.name.toLowerCase() === initialStatus.trim().toLowerCase())
+      : null;
+
+    if (initialStatus && !option) {
+      logger.warn(`Initial status "${initialStatus}" not found on project board`);
+    }
+
+    return { projectId, statusField, option };
+  } catch (error) {
+    logger.warn(`Skipping project board placement: ${error.message}`);
+    return null;
+  }
+}
+
+// The issue already exists at this point, so board failures are logged rather than thrown
+async function placeOnBoard({ projectId, statusField, option }, issue) {
+  try {
+    const itemId = await addIssueToProject(projectId, issue.node_id);
+    if (option) await setItemStatus(projectId, itemId, statusField.id, option.id);
+    logger.info(`Added issue #${issue.number} to project board${option ? ` in ${option.name}` : ''}`);
+  } catch (error) {
+    logger.warn(`Failed to add issue #${issue.number} to project board: ${error.message}`);
+  }
+}
+
+// Configuration validation
+export async function validateRepository(owner, repo) {
+  try {
+    const { data } = await octokit.repos.get({ owner, repo });
+    return data;
+  } catch (error) {
+    if (error.status === 404) throw new Error(`Repository ${owner}/${repo} not found or not accessible`);
+    throw error;
+  }
+}
+
+export async function validateProject(target) {
+  const projectId = await getProjectDetails(target).catch(() => null);
+  if (!projectId) throw new Error(`Project #${target.projectNumber} not found for ${target.owner}`);
+  return projectId;
+}
+
+export async function validateLabels(labels, target) {
+  const missing = [];
+  for (const name of labels) {
+    try {
+      await octokit.issues.getLabel({ owner: target.owner, repo: target.repo, name });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      missing.push(name);
+    }
+  }
+  if (missing.length) throw new Error(`Unknown labels in ${target.owner}/${target.repo}: ${missing.join(', ')}`);
+}
+
+// Single issue operations
+export async function getIssueDetails(issueNumber, target = defaultTarget()) {
+  logger.info(`Fetching details for issue #${issueNumber} in ${target.owner}/${target.repo}...`);
+
+  const query = `
+    query ($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+          number
+          title
+          url
+          body
+          state
+          stateReason
+          createdAt
+          author {
+            login
+          }
+          assignees(first: 10) {
+            nodes {
+              login
+            }
+          }
+          labels(first: 20) {
+            nodes {
+              name
+            }
+          }
+          milestone {
+            title
+          }
+          projectItems(first: 20) {
+            nodes {
+              project {
+                number
+              }
+              fieldValueByName(name: "Status") {
+                ... on ProjectV2ItemFieldSingleSelectValue {
+                  name
+                }
+              }
+            }
+          }
+          closedByPullRequestsReferences(first: 5, includeClosedPrs: true) {
+            nodes {
+              number
+              title
+              url
+              state
+            }
+          }
+          comments(last: 3) {
+            totalCount
+            nodes {
+              author {
+                login
+              }
+              body
+              url
+              createdAt
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({ query, owner: target.owner, repo: target.repo, number: issueNumber });
+    const issue = response.repository?.issue;
+    if (!issue) throw new Error(`Issue #${issueNumber} not found in ${target.owner}/${target.repo}`);
+
+    const boardItem = issue.projectItems.nodes.find(item => item.project?.number === target.projectNumber);
+    return { ...issue, status: boardItem?.fieldValueByName?.name ?? null };
+  } catch (error) {
+    logger.error('Failed to fetch issue details', { error });
+    throw error;
+  }
+}
+
+export async function listRepositoryLabels(target = defaultTarget()) {
+  return octokit.paginate(octokit.issues.listLabelsForRepo, {
+    owner: target.owner,
+    repo: target.repo,
+    per_page: 100
+  });
+}
+
+export async function listMilestones(target = defaultTarget()) {
+  return octokit.paginate(octokit.issues.listMilestones, {
+    owner: target.owner,
+    repo: target.repo,
+    state: 'open',
+    per_page: 100
+  });
+}
+
+export async function listAssignableUsers(target = defaultTarget()) {
+  const users = await octokit.paginate(octokit.issues.listAssignees, {
+    owner: target.owner,
+    repo: target.repo,
+    per_page: 100
+  });
+  return users.map(user => user.login);
+}
+
+export async function setIssueLabels(issueNumber, labels, target = defaultTarget()) {
+  await octokit.issues.setLabels({ owner: target.owner, repo: target.repo, issue_number: issueNumber, labels });
+  logger.info(`Set labels on issue #${issueNumber}: ${labels.join(', ') || 'none'}`);
+}
+
+export async function addIssueAssignees(issueNumber, assignees, target = defaultTarget()) {
+  const { data } = await octokit.issues.addAssignees({ owner: target.owner, repo: target.repo, issue_number: issueNumber, assignees });
+
+  // GitHub silently drops logins that can't be assigned in this repository
+  const assigned = new Set(data.assignees.map(a => a.login.toLowerCase()));
+  const rejected = assignees.filter(login => !assigned.has(login.toLowerCase()));
+  logger.info(`Assigned issue #${issueNumber} to ${assignees.join(', ')}`);
+  return { rejected };
+}
+
+export async function setIssueState(issueNumber, state, target = defaultTarget()) {
+  await octokit.issues.update({
+    owner: target.owner,
+    repo: target.repo,
+    issue_number: issueNumber,
+    state,
+    ...(state === 'closed' && { state_reason: 'completed' })
+  });
+  logger.info(`Issue #${issueNumber} is now ${state}`);
 }
 
 // Project Management
-export async function getProjectDetails() {
+export async function getProjectDetails(target = defaultTarget()) {
   logger.info('Fetching GitHub project details...');
   
   const variables = {
-    projectNumber: parseInt(process.env.GITHUB_PROJECT_NUMBER, 10),
-    owner: process.env.GITHUB_REPO_OWNER.trim()
+    projectNumber: target.projectNumber,
+    owner: target.owner
   };
 
   const query = `
@@ -95,20 +607,203 @@ export async function getStatusField(projectId) {
   }
 }
 
+export async function getIssueProjectItem(projectId, issueNumber, target = defaultTarget()) {
+  logger.info(`Looking up issue #${issueNumber} on project ${projectId}...`);
+
+  const query = `
+    query ($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+          id
+          title
+          url
+          projectItems(first: 20) {
+            nodes {
+              id
+              project {
+                id
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({
+      query,
+      owner: target.owner,
+      repo: target.repo,
+      number: issueNumber
+    });
+    const issue = response.repository?.issue;
+    if (!issue) throw new Error(`Issue #${issueNumber} not found`);
+
+    const item = issue.projectItems.nodes.find(node => node.project?.id === projectId);
+    return { issue, itemId: item?.id ?? null };
+  } catch (error) {
+    logger.error('Failed to fetch issue project item', { error });
+    throw error;
+  }
+}
+
+// Status column of an issue on the target's project board, or null when it isn't on the board
+export async function getIssueStatus(issueNumber, target = defaultTarget()) {
+  if (!target.projectNumber) return null;
+
+  const query = `
+    query ($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+          projectItems(first: 20) {
+            nodes {
+              project {
+                number
+                owner {
+                  ... on Organization { login }
+                  ... on User { login }
+                }
+              }
+              fieldValueByName(name: "Status") {
+                ... on ProjectV2ItemFieldSingleSelectValue {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({ query, owner: target.owner, repo: target.repo, number: issueNumber });
+    const item = response.repository?.issue?.projectItems.nodes.find(node =>
+      node.project?.number === target.projectNumber &&
+      node.project.owner?.login?.toLowerCase() === target.owner.toLowerCase()
+    );
+    return item?.fieldValueByName?.name ?? null;
+  } catch (error) {
+    logger.error(`Failed to fetch status for issue #${issueNumber}`, { error });
+    throw error;
+  }
+}
+
+// owner/repo#N references of the issues a pull request will close
+export async function getClosingIssues(prNumber, target = defaultTarget()) {
+  const query = `
+    query ($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          closingIssuesReferences(first: 25) {
+            nodes {
+              number
+              repository {
+                nameWithOwner
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({ query, owner: target.owner, repo: target.repo, number: prNumber });
+    return (response.repository?.pullRequest?.closingIssuesReferences.nodes ?? [])
+      .map(issue => `${issue.repository.nameWithOwner}#${issue.number}`);
+  } catch (error) {
+    logger.error(`Failed to fetch closing issues for PR #${prNumber}`, { error });
+    throw error;
+  }
+}
+
+export async function addIssueToProject(projectId, contentId) {
+  logger.info(`Adding ${contentId} to project ${projectId}...`);
+
+  const mutation = `
+    mutation ($projectId: ID!, $contentId: ID!) {
+      addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+        item {
+          id
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({ query: mutation, projectId, contentId });
+    return response.addProjectV2ItemById.item.id;
+  } catch (error) {
+    logger.error('Failed to add item to project', { error });
+    throw error;
+  }
+}
+
+export async function setItemStatus(projectId, itemId, fieldId, optionId) {
+  logger.info(`Setting status of item ${itemId} to option ${optionId}...`);
+
+  const mutation = `
+    mutation ($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) {
+      updateProjectV2ItemFieldValue(input: {
+        projectId: $projectId
+        itemId: $itemId
+        fieldId: $fieldId
+        value: { singleSelectOptionId: $optionId }
+      }) {
+        projectV2Item {
+          id
+        }
+      }
+    }
+  `;
+
+  try {
+    const response = await octokit.graphql({ query: mutation, projectId, itemId, fieldId, optionId });
+    return response.updateProjectV2ItemFieldValue.projectV2Item.id;
+  } catch (error) {
+    logger.error('Failed to update item status', { error });
+    throw error;
+  }
+}
+
+// Move an issue to a Status column, adding it to the board first if needed
+export async function moveIssueToStatus(issueNumber, optionId, target = defaultTarget()) {
+  const projectId = await getProjectDetails(target);
+  const statusField = await getStatusField(projectId);
+  const option = statusField?.options.find(o => o.id === optionId);
+  if (!option) throw new Error(`Unknown status option ${optionId}`);
+
+  const { issue, itemId: existingItemId } = await getIssueProjectItem(projectId, issueNumber, target);
+  const itemId = existingItemId ?? await addIssueToProject(projectId, issue.id);
+
+  await setItemStatus(projectId, itemId, statusField.id, option.id);
+  logger.info(`Moved issue #${issueNumber} to ${option.name}`);
+
+  return { issue, status: option, addedToBoard: !existingItemId };
+}
+
 export async function getProjectItems(projectId) {
   logger.info(`Fetching items for project ${projectId}...`);
   
   const query = `
-    query ($projectId: ID!) {
+    query ($projectId: ID!, $cursor: String) {
       node(id: $projectId) {
         ... on ProjectV2 {
-          items(first: 100) {
+          items(first: 100, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             nodes {
               id
+              createdAt
               fieldValueByName(name: "Status") {
                 ... on ProjectV2ItemFieldSingleSelectValue {
                   name
                   optionId
+                  updatedAt
                 }
               }
               content {
@@ -117,11 +812,21 @@ export async function getProjectItems(projectId) {
                   title
                   url
                   body
+                  state
+                  closedAt
                   assignees(first: 5) {
                     nodes {
                       login
                     }
                   }
+                  labels(first: 20) {
+                    nodes {
+                      name
+                    }
+                  }
+                  milestone {
+                    title
+                  }
                 }
               }
             }
@@ -132,29 +837,53 @@ export async function getProjectItems(projectId) {
   `;
 
   try {
-    const response = await octokit.graphql({ query, projectId });
-    return response.node.items.nodes.filter(item => item.content);
+    const items = [];
+    let cursor = null;
+
+    // Walk the full item set; the API caps each page at 100 items
+    do {
+      const response = await octokit.graphql({ query, projectId, cursor });
+      const { nodes, pageInfo } = response.node.items;
+      items.push(...nodes.filter(item => item.content));
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+
+    logger.debug(`Fetched ${items.length} project items`);
+    return items;
   } catch (error) {
     logger.error('Failed to fetch project items', { error });
     throw error;
   }
 }
 
-export async function listOpenIssues() {
-  logger.info('Listing open issues...');
+export async function listOpenIssues(filters = {}, target = defaultTarget()) {
+  logger.info('Listing open issues...', { filters });
   try {
-    const projectId = await getProjectDetails();
+    const projectId = await getProjectDetails(target);
     const statusField = await getStatusField(projectId);
     const items = await getProjectItems(projectId);
     
-    return processProjectItems(items, statusField);
+    return processProjectItems(items, statusField, filters);
   } catch (error) {
     logger.error('Failed to list open issues', { error });
     throw error;
   }
 }
 
-function processProjectItems(items, statusField) {
+const normalize = value => value?.trim().replace(/^@/, '').toLowerCase();
+
+function matchesFilters(item, { assignee, status, label, milestone }) {
+  const issue = item.content;
+
+  if (assignee && !issue.assignees?.nodes?.some(a => normalize(a.login) === normalize(assignee))) return false;
+  if (status && normalize(item.fieldValueByName?.name) !== normalize(status)) return false;
+  if (label && !issue.labels?.nodes?.some(l => normalize(l.name) === normalize(label))) return false;
+  if (milestone && normalize(issue.milestone?.title) !== normalize(milestone)) return false;
+
+  return true;
+}
+
+export function processProjectItems(items, statusField, filters = {}) {
   logger.debug(`Processing ${items.length} project items...`);
   
   const backlogOption = statusField.options.find(o => o.name === 'Backlog');
@@ -166,7 +895,9 @@ function processProjectItems(items, statusField) {
   
   items.forEach(item => {
     const status = item.fieldValueByName?.name;
-    if (status && status !== doneOption?.name) {
+    // Done items are hidden unless explicitly asked for by status
+    const visible = filters.status ? Boolean(status) : status && status !== doneOption?.name;
+    if (visible && matchesFilters(item, filters)) {
       item.fieldValueByName?.optionId === backlogOption?.id 
         ? backlogItems.push(item) 
         : otherItems.push(item);
@@ -174,4 +905,98 @@ function processProjectItems(items, statusField) {
   });
 
   return [...backlogItems, ...otherItems];
-} 
\ No newline at end of file
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Status changes update the field value; items never moved count from when they were added
+const movedAt = item => Date.parse(item.fieldValueByName?.updatedAt ?? item.createdAt);
+const open = item => item.content.state !== 'CLOSED';
+
+export const daysInStatus = (item, now = Date.now()) => Math.floor((now - movedAt(item)) / DAY);
+
+// Board activity since a point in time: column counts, fresh Backlog entries, closed issues,
+// and open items whose Status hasn't changed in staleDays
+export function summarizeBoard(items, statusField, { since, staleDays, now = Date.now() }) {
+  const doneOption = statusField.options.find(o => o.name === 'Done');
+
+  const counts = statusField.options.map(option => ({
+    status: option.name,
+    count: items.filter(item => item.fieldValueByName?.optionId === option.id).length
+  }));
+  const unsorted = items.filter(item => !item.fieldValueByName && open(item)).length;
+  if (unsorted) counts.push({ status: 'No Status', count: unsorted });
+
+  const newInBacklog = items.filter(item => item.fieldValueByName?.name === 'Backlog' && open(item) && movedAt(item) > since);
+  const closed = items.filter(item => item.content.closedAt && Date.parse(item.content.closedAt) > since);
+  const stale = items
+    .filter(item => item.fieldValueByName && item.fieldValueByName.optionId !== doneOption?.id && open(item))
+    .map(item => ({ item, days: daysInStatus(item, now) }))
+    .filter(({ days }) => days >= staleDays)
+    .sort((a, b) => b.days - a.days);
+
+  return { counts, newInBacklog, closed, stale };
+}
+
+export async function getBoardDigest({ since, staleDays }, target = defaultTarget()) {
+  logger.info('Building board digest...', { since: new Date(since).toISOString(), staleDays });
+  const projectId = await getProjectDetails(target);
+  const statusField = await getStatusField(projectId);
+  const items = await getProjectItems(projectId);
+  return summarizeBoard(items, statusField, { since, staleDays });
+}
+
+// The columns, labels, people and milestones a board query can refer to
+export function boardVocabulary(items, statusField) {
+  const unique = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    statuses: statusField.options.map(o => o.name),
+    labels: unique(items.flatMap(item => item.content.labels.nodes.map(l => l.name))),
+    assignees: unique(items.flatMap(item => item.content.assignees.nodes.map(a => a.login))),
+    milestones: unique(items.map(item => item.content.milestone?.title))
+  };
+}
+
+// Apply a /ask query; names compare like /list-issues filters, keywords match the title or body
+export function queryProjectItems(items, query, { now = Date.now() } = {}) {
+  const wanted = values => values.map(normalize);
+
+  return items.filter(item => {
+    const issue = item.content;
+    const assignees = issue.assignees.nodes.map(a => normalize(a.login));
+    const labels = issue.labels.nodes.map(l => normalize(l.name));
+    const text = `${issue.title}\n${issue.body ?? ''}`.toLowerCase();
+
+    return (query.state === 'all' || query.state === (open(item) ? 'open' : 'closed'))
+      && (!query.statuses.length || wanted(query.statuses).includes(normalize(item.fieldValueByName?.name)))
+      && (!query.unassigned || !assignees.length)
+      && (!query.assignees.length || wanted(query.assignees).some(login => assignees.includes(login)))
+      && wanted(query.labels).every(label => labels.includes(label))
+      && (!query.milestone || normalize(issue.milestone?.title) === normalize(query.milestone))
+      && (!query.keywords.length || query.keywords.some(keyword => text.includes(keyword.toLowerCase())))
+      && (!query.minDaysInStatus || daysInStatus(item, now) >= query.minDaysInStatus);
+  });
+}
+
+// The part of a /ask query that project board views can filter on, in their filter syntax,
+// so people can check it or paste it into a view on GitHub
+export function formatBoardQuery(query) {
+  const value = text => /[\s,"]/.test(text) ? `"${text.replace(/"/g, '')}"` : text;
+
+  return [
+    query.state !== 'all' && `is:${query.state}`,
+    query.statuses.length && `status:${query.statuses.map(value).join(',')}`,
+    query.unassigned && 'no:assignee',
+    query.assignees.length && `assignee:${query.assignees.map(value).join(',')}`,
+    ...query.labels.map(label => `label:${value(label)}`),
+    query.milestone && `milestone:${value(query.milestone)}`
+  ].filter(Boolean).join(' ');
+}
+
+// Conditions that board views have no qualifier for, described in words
+export function describeExtraConditions(query) {
+  return [
+    query.keywords.length && `title or body mentions ${query.keywords.map(keyword => `"${keyword}"`).join(' or ')}`,
+    query.minDaysInStatus && `in its column for ${query.minDaysInStatus}+ days`
+  ].filter(Boolean);
+}
@@ -0,0 +1,55 @@
+import http from 'http';
+import { withCorrelation } from './correlation.js';
+import { renderMetrics } from './metrics.js';
+import { logger } from './logger.js';
+
+// Handlers resolve to true once they've answered the request, false to pass it on
+const handlers = [];
+
+export function addHttpHandler(handler) {
+  handlers.push(handler);
+}
+
+const metricsAuthorized = request => !process.env.METRICS_TOKEN
+  || request.headers.authorization === `Bearer ${process.env.METRICS_TOKEN}`;
+
+// One server for /health, /metrics and the GitHub webhook receiver. health() returns
+// { ok, ...details }; a worker that isn't connected to Discord answers 503.
+export function startHttpServer({ health }) {
+  const port = parseInt(process.env.PORT || '3000', 10);
+
+  const server = http.createServer((request, response) => withCorrelation({}, async () => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    try {
+      if (request.method === 'GET' && pathname === '/health') {
+        const status = health();
+        response.writeHead(status.ok ? 200 : 503, { 'content-type': 'application/json' });
+        response.end(JSON.stringify(status));
+        return;
+      }
+
+      if (request.method === 'GET' && pathname === '/metrics') {
+        if (!metricsAuthorized(request)) {
+          response.writeHead(401).end();
+          return;
+        }
+        response.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
+        response.end(renderMetrics());
+        return;
+      }
+
+      for (const handler of handlers) {
+        if (await handler(request, response)) return;
+      }
+      response.writeHead(404).end();
+    } catch (error) {
+      logger.error(`HTTP ${request.method} ${pathname} failed`, { error });
+      if (!response.headersSent) response.writeHead(500);
+      response.end();
+    }
+  }));
+
+  server.listen(port, () => logger.info(`HTTP server listening on :${port} (/health, /metrics)`));
+  return server;
+}
@@ -0,0 +1,57 @@
+import { logger } from './logger.js';
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+
+// Links are keyed by owner/repo#N so issues in several repositories can share a thread
+export function createFileIssueThreadStore(filePath) {
+  const links = new Map();
+  const write = createJSONFileWriter(filePath);
+  const persist = () => write(Object.fromEntries(links));
+  let loaded = null;
+
+  const load = () => {
+    loaded ??= readJSONFile(filePath, {}).then(stored => {
+      for (const [reference, link] of Object.entries(stored)) links.set(reference, link);
+      logger.info(`Loaded ${links.size} issue thread links from ${filePath}`);
+    });
+    return loaded;
+  };
+
+  return {
+    async all() {
+      await load();
+      return [...links.values()];
+    },
+
+    async get(reference) {
+      await load();
+      return links.get(reference) ?? null;
+    },
+
+    async findByNodeId(nodeId) {
+      await load();
+      return [...links.values()].find(link => link.nodeId === nodeId) ?? null;
+    },
+
+    async findByChannel(channelId) {
+      await load();
+      return [...links.values()].filter(link => link.channelId === channelId);
+    },
+
+    async save(link) {
+      await load();
+      links.set(link.reference, link);
+      await persist();
+      return link;
+    },
+
+    async delete(reference) {
+      await load();
+      links.delete(reference);
+      await persist();
+    }
+  };
+}
+
+export const issueThreadStore = createFileIssueThreadStore(
+  process.env.ISSUE_THREAD_STORE_PATH || 'data/issue-threads.json'
+);
@@ -0,0 +1,30 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Read a JSON file, returning the fallback when it doesn't exist yet
+export async function readJSONFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.error(`Failed to read ${filePath}`, { error });
+    return fallback;
+  }
+}
+
+// Serialized atomic writer: each call snapshots the data and replaces the file
+export function createJSONFileWriter(filePath) {
+  let writeQueue = Promise.resolve();
+
+  return data => {
+    const snapshot = JSON.stringify(data, null, 2);
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, snapshot);
+        await fs.rename(`${filePath}.tmp`, filePath);
+      })
+      .catch(error => logger.error(`Failed to write ${filePath}`, { error }));
+    return writeQueue;
+  };
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { OpenAI } from 'openai';
+import { logger } from './logger.js';
+import { llmRequestsTotal, llmRequestDuration } from './metrics.js';
+
+// Providers expose streamChat(), an async iterable of text chunks, and report
+// token counts through onUsage({ promptTokens, completionTokens }). Replies are JSON
+// unless the caller asks for plainText.
+function createOpenAIProvider({ apiKey, baseURL } = {}) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    async *streamChat({ messages, model, temperature, responseSchema, plainText, onUsage }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(!plainText && {
+          response_format: responseSchema
+            ? { type: "json_schema", json_schema: responseSchema }
+            : { type: "json_object" }
+        }),
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+
+      for await (const chunk of stream) {
+        // The final chunk carries usage and no choices
+        if (chunk.usage) {
+          onUsage?.({ promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens });
+        }
+        yield chunk.choices[0]?.delta?.content || '';
+      }
+    }
+  };
+}
+
+// Ollama, vLLM, LM Studio and friends speak the same chat completions API
+function createOpenAICompatibleProvider({ apiKey, baseURL }) {
+  if (!baseURL) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  // Local servers usually ignore the key, but the SDK insists on one
+  return createOpenAIProvider({ apiKey: apiKey || 'not-needed', baseURL });
+}
+
+// Deterministic output for CI and offline runs: a fixture file, or one issue echoing the input
+function createMockProvider({ fixturePath }) {
+  return {
+    async *streamChat({ messages, onUsage }) {
+      const content = fixturePath
+        ? fs.readFileSync(fixturePath, 'utf8')
+        : JSON.stringify({ issues: [echoIssue(messages)] });
+
+      for (let i = 0; i < content.length; i += 50) {
+        yield content.slice(i, i + 50);
+      }
+
+      // Rough 4-characters-per-token estimate keeps quota accounting testable
+      onUsage?.({
+        promptTokens: Math.ceil(JSON.stringify(messages).length / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      });
+    }
+  };
+}
+
+function echoIssue(messages) {
+  const userContent = messages.find(m => m.role === 'user')?.content ?? [];
+  const text = (Array.isArray(userContent) ? userContent : [{ type: 'text', text: userContent }])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n\n')
+    .trim();
+  const firstLine = text.split('\n')[0] || 'Untitled report';
+
+  return {
+    title: `[MOCK] ${firstLine}`.slice(0, 120).padEnd(10, '.'),
+    body: `## Description\n\n${text || 'No description provided.'}\n\n_Generated by the mock LLM provider for offline testing._`.padEnd(100, ' '),
+    labels: ['mock']
+  };
+}
+
+const providerFactories = {
+  'openai': createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  'mock': createMockProvider
+};
+
+export function registerLLMProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+export const llmProviderNames = () => Object.keys(providerFactories);
+
+// The /config settings of a guild or channel, as overrides for resolveLLMSettings
+export function configLLMOverrides({ llmProvider, llmModel, llmTemperature, llmBaseUrl } = {}) {
+  return Object.fromEntries(Object.entries({
+    provider: llmProvider,
+    model: llmModel,
+    temperature: llmTemperature,
+    baseURL: llmBaseUrl
+  }).filter(([, value]) => value != null));
+}
+
+function parseGuildOverrides() {
+  try {
+    return JSON.parse(process.env.LLM_GUILD_OVERRIDES || '{}');
+  } catch (error) {
+    logger.error('Invalid LLM_GUILD_OVERRIDES JSON, ignoring it', { error });
+    return {};
+  }
+}
+
+// Environment defaults, optionally overridden per guild and by /config
+export function resolveLLMSettings(guildId, overrides = {}) {
+  const defaults = {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o',
+    temperature: parseFloat(process.env.LLM_TEMPERATURE ?? '0.1'),
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    fixturePath: process.env.LLM_FIXTURE_PATH,
+    structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS
+      ? process.env.LLM_STRUCTURED_OUTPUTS === 'true'
+      : undefined
+  };
+
+  const operatorSettings = { ...defaults, ...(guildId && parseGuildOverrides()[guildId]) };
+  const settings = { ...operatorSettings, ...overrides };
+  // A server picked through /config is run by the guild, so it never gets the operator's API key,
+  // and the openai provider stays on OpenAI's own endpoint
+  if (overrides.baseURL) {
+    if (settings.provider === 'openai-compatible') settings.apiKey = undefined;
+    else settings.baseURL = operatorSettings.baseURL;
+  }
+  // Structured outputs are an OpenAI feature; compatible servers vary
+  settings.structuredOutputs ??= settings.provider === 'openai';
+  return settings;
+}
+
+const providerCache = new Map();
+
+// Requests are counted here so every provider, including registered ones, reports the same metrics
+function instrumentProvider(name, provider) {
+  return {
+    async *streamChat(options) {
+      const labels = { provider: name, model: options.model };
+      const stopTimer = llmRequestDuration.startTimer(labels);
+      try {
+        yield* provider.streamChat(options);
+        llmRequestsTotal.inc({ ...labels, outcome: 'ok' });
+      } catch (error) {
+        llmRequestsTotal.inc({ ...labels, outcome: 'error' });
+        throw error;
+      } finally {
+        stopTimer();
+      }
+    }
+  };
+}
+
+export function getLLMProvider(settings) {
+  const factory = providerFactories[settings.provider];
+  if (!factory) throw new Error(`Unknown LLM provider: ${settings.provider}`);
+
+  const cacheKey = JSON.stringify([settings.provider, settings.baseURL, settings.apiKey, settings.fixturePath]);
+  if (!providerCache.has(cacheKey)) {
+    logger.info(`Initializing ${settings.provider} LLM provider`);
+    providerCache.set(cacheKey, instrumentProvider(settings.provider, factory(settings)));
+  }
+
+  return providerCache.get(cacheKey);
+}
@@ -1,22 +1,41 @@
 import winston from 'winston';
 import 'winston-daily-rotate-file';
+import { correlationContext } from './correlation.js';
 
 const { createLogger, format, transports } = winston;
 const { combine, timestamp, printf, colorize, errors } = format;
 
+const MAX_LOGGED_STRING = 2000;
+
+// Tag each line with the interaction, session or sync run it belongs to
+const correlation = format(info => ({ ...correlationContext(), ...info }));
+
+// Errors keep their message and stack, and long strings and buffers (attachments, AI output) are cut short
+function serializeMeta(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, status: value.status, stack: value.stack };
+  }
+  if (value?.type === 'Buffer' && Array.isArray(value.data)) return `[${value.data.length} bytes]`;
+  if (typeof value === 'string' && value.length > MAX_LOGGED_STRING) {
+    return `${value.slice(0, MAX_LOGGED_STRING)}… (${value.length} chars)`;
+  }
+  return value;
+}
+
 // Custom format for console output
-const consoleFormat = printf(({ level, message, timestamp, stack }) => {
+const consoleFormat = printf(({ level, message, timestamp, stack, correlationId }) => {
   const log = stack || message;
-  return `${timestamp} [${level}] ${log}`;
+  return `${timestamp} [${level}]${correlationId ? ` [${correlationId}]` : ''} ${log}`;
 });
 
-// Custom format for file output
-const fileFormat = printf(({ level, message, timestamp, stack }) => {
+// Custom format for file output; metadata passed to the log call is kept
+export const fileFormat = printf(({ level, message, timestamp, stack, ...meta }) => {
   return JSON.stringify({
     timestamp,
     level,
     message: stack || message,
-  });
+    ...meta
+  }, serializeMeta);
 });
 
 // Create logger instance
@@ -27,6 +46,7 @@ export const logger = createLogger({
   format: combine(
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     errors({ stack: true }), // Enable error stack traces
+    correlation()
   ),
   transports: [
     // Console transport
@@ -36,15 +56,15 @@ export const logger = createLogger({
         consoleFormat
       )
     }),
-    // Rotating file transport
-    new transports.DailyRotateFile({
+    // Rotating file transport; tests keep logs out of the working tree
+    ...(process.env.NODE_ENV === 'test' ? [] : [new transports.DailyRotateFile({
       filename: 'logs/application-%DATE%.log',
       datePattern: 'YYYY-MM-DD',
       zippedArchive: true,
       maxSize: '20m',
       maxFiles: '30d',
       format: fileFormat
-    })
+    })])
   ]
 });
 
@@ -0,0 +1,162 @@
+import {
+  listRepositoryLabels, listMilestones, listAssignableUsers, getRepositoryFile, issueTarget
+} from './github-utils.js';
+import { logger } from './logger.js';
+
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+// Below this, an unknown label is dropped rather than mapped
+const LABEL_MATCH_THRESHOLD = 0.6;
+
+export function parseCodeOwners(content) {
+  return content.split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners: owners.map(owner => owner.replace(/^@/, '')) };
+    })
+    .filter(rule => rule.owners.length);
+}
+
+async function loadCodeOwners(target) {
+  for (const filePath of CODEOWNERS_PATHS) {
+    const content = await getRepositoryFile(filePath, target);
+    if (content !== null) return parseCodeOwners(content);
+  }
+  return [];
+}
+
+const repositoryCache = new Map();
+
+// Labels, open milestones, assignable users and CODEOWNERS rules of one repository
+export async function loadRepositoryMetadata(target) {
+  const key = `${target.owner}/${target.repo}`;
+  const cached = repositoryCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const [labels, milestones, assignees, codeOwners] = await Promise.all([
+    listRepositoryLabels(target),
+    listMilestones(target),
+    listAssignableUsers(target),
+    loadCodeOwners(target)
+  ]);
+
+  const metadata = {
+    repo: key,
+    labels: labels.map(({ name, description }) => ({ name, description })),
+    milestones: milestones.map(({ number, title, description, due_on }) => ({ number, title, description, dueOn: due_on })),
+    assignees,
+    codeOwners
+  };
+
+  logger.info(`Loaded metadata for ${key}: ${labels.length} labels, ${milestones.length} milestones, ${assignees.length} assignees`);
+  repositoryCache.set(key, { metadata, expiresAt: Date.now() + CACHE_TTL });
+  return metadata;
+}
+
+// Metadata for every repository the session's drafts can be routed to
+export async function loadCandidateMetadata(config, target) {
+  const repos = config.repos?.length
+    ? config.repos.map(({ repo }) => issueTarget({ repo }, target))
+    : [target];
+
+  const results = await Promise.all(repos.map(repoTarget => loadRepositoryMetadata(repoTarget).catch(error => {
+    logger.warn(`Couldn't load metadata for ${repoTarget.owner}/${repoTarget.repo}: ${error.message}`);
+    return null;
+  })));
+  return results.filter(Boolean);
+}
+
+// "ui-bug", "UI Bug" and "bug:ui" all reduce to "bug ui"
+const labelKey = name => name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).sort().join(' ');
+
+const bigrams = text => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) pairs.push(text.slice(i, i + 2));
+  return pairs;
+};
+
+// Dice coefficient over character pairs
+function labelSimilarity(a, b) {
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (!pairsA.length || !pairsB.length) return a === b ? 1 : 0;
+
+  const remaining = [...pairsB];
+  let shared = 0;
+  for (const pair of pairsA) {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+export function closestLabel(name, labels) {
+  const key = labelKey(name);
+  let best = null;
+  let bestScore = 0;
+
+  for (const label of labels) {
+    const score = labelKey(label.name) === key ? 1 : labelSimilarity(key, labelKey(label.name));
+    if (score > bestScore) {
+      best = label.name;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= LABEL_MATCH_THRESHOLD ? best : null;
+}
+
+// Keep only labels, milestones and assignees that exist in the draft's repository.
+// Returns notes describing what changed, for the preview.
+export function constrainDraft(draft, metadata) {
+  const notes = [];
+
+  // A repository without labels would reject every suggestion, so its labels are left alone
+  if (metadata.labels.length) {
+    const labels = [];
+    for (const name of draft.labels) {
+      const match = metadata.labels.find(label => label.name === name)?.name ?? closestLabel(name, metadata.labels);
+      if (!match) notes.push(`Dropped unknown label "${name}"`);
+      else if (match !== name) notes.push(`Label "${name}" → "${match}"`);
+      if (match) labels.push(match);
+    }
+    draft.labels = [...new Set(labels)];
+  }
+
+  if (draft.milestone) {
+    const milestone = metadata.milestones.find(m => m.title.toLowerCase() === draft.milestone.toLowerCase());
+    if (!milestone) notes.push(`Dropped unknown milestone "${draft.milestone}"`);
+    draft.milestone = milestone?.title ?? null;
+    draft.milestoneNumber = milestone?.number ?? null;
+  }
+
+  const assignable = new Map(metadata.assignees.map(login => [login.toLowerCase(), login]));
+  const assignees = [];
+  for (const login of (draft.assignees ?? []).map(login => login.replace(/^@/, ''))) {
+    const match = assignable.get(login.toLowerCase());
+    match ? assignees.push(match) : notes.push(`Can't assign @${login} in ${metadata.repo}`);
+  }
+  draft.assignees = [...new Set(assignees)];
+
+  return notes;
+}
+
+// Check each draft against its own repository; drafts whose metadata can't be loaded are left as they are
+export async function constrainDrafts(drafts, target) {
+  for (const draft of drafts) {
+    const repoTarget = issueTarget(draft, target);
+    try {
+      const metadata = await loadRepositoryMetadata(repoTarget);
+      draft.metadataNotes = constrainDraft(draft, metadata);
+      if (draft.metadataNotes.length) logger.info(`Adjusted draft ${draft.draftId}`, { notes: draft.metadataNotes });
+    } catch (error) {
+      logger.warn(`Couldn't check draft ${draft.draftId} against ${repoTarget.owner}/${repoTarget.repo}: ${error.message}`);
+      draft.metadataNotes = [];
+    }
+  }
+}
@@ -0,0 +1,127 @@
+// In-memory metrics rendered in the Prometheus text format. Series live for the life of the
+// process; Prometheus' rate() handles the reset when the worker restarts.
+
+const registry = [];
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by label values in declaration order; missing labels are recorded as empty
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ];
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      buckets.forEach((bound, index) => { if (value <= bound) entry.counts[index] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+
+    // Returns a function that records the seconds elapsed since the timer started
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => metric.observe(
+        { ...labels, ...extraLabels },
+        Number(process.hrtime.bigint() - start) / 1e9
+      );
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+// Gauges are read when /metrics is scraped
+export function gauge(name, help, collect) {
+  registry.push({
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`]
+  });
+}
+
+export function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+export const commandsTotal = counter(
+  'discord_commands_total', 'Slash commands and context menu commands handled, by outcome (ok, refused, error)', ['command', 'outcome']
+);
+export const commandDuration = histogram(
+  'discord_command_duration_seconds', 'Time until a command handler returned', ['command']
+);
+export const githubRequestsTotal = counter(
+  'github_requests_total', 'GitHub API requests by route and response status ("network" when no response arrived)', ['method', 'route', 'status']
+);
+export const githubRequestDuration = histogram(
+  'github_request_duration_seconds', 'GitHub API request latency', ['method', 'route']
+);
+export const llmRequestsTotal = counter(
+  'llm_requests_total', 'LLM chat requests by outcome (ok, error)', ['provider', 'model', 'outcome']
+);
+export const llmRequestDuration = histogram(
+  'llm_request_duration_seconds', 'Time to stream a full LLM response', ['provider', 'model']
+);
+export const llmTokensTotal = counter(
+  'llm_tokens_total', 'LLM tokens used per guild ("dm" for DMs outside a server), by type (prompt, completion)', ['guild', 'model', 'type']
+);
+export const llmCostTotal = counter(
+  'llm_cost_usd_total', 'Estimated LLM spend in USD per guild, from the configured token prices', ['guild', 'model']
+);
+
+gauge('process_uptime_seconds', 'Seconds since the bot process started', () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory of the bot process', () => process.memoryUsage().rss);
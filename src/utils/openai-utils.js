@@ -1,77 +1,295 @@
-import { OpenAI } from 'openai';
 import { z } from 'zod';
 import { logger } from './logger.js';
+import { resolveLLMSettings, getLLMProvider, configLLMOverrides } from './llm-providers.js';
+import { DEFAULT_TEMPLATES } from './template-utils.js';
+import { daysInStatus } from './github-utils.js';
 import fetch from 'node-fetch';
 
-const openai = new OpenAI();
-
 export const IssueSchema = z.array(
   z.object({
     title: z.string().min(10).describe("Technical summary of the issue"),
     body: z.string().min(100).describe("Markdown formatted issue description with sections"),
-    labels: z.array(z.string().min(2).max(20).describe("Relevant tags for categorizing the issue")).default([])
+    labels: z.array(z.string().min(2).max(50).describe("Labels from the repository's label set")).default([]),
+    images: z.array(z.number().int().positive()).default([]).describe("Numbers of the attached images that belong to this issue"),
+    files: z.array(z.number().int().positive()).default([]).describe("Numbers of the attached files that belong to this issue"),
+    repo: z.string().optional().describe("owner/name of the repository this issue belongs to, when candidates are given"),
+    template: z.string().nullish().describe("Name of the issue template the body follows"),
+    milestone: z.string().nullish().describe("Title of the open milestone the issue fits, if any"),
+    assignees: z.array(z.string()).default([]).describe("GitHub logins of code owners for the affected code")
   })
 );
 
-// Add this above the generateIssueContent function
-export const IssueTemplates = {
-    BUG: {
-      titlePrefix: '[BUG]',
-      body: `## Description\n\n{{concise_summary}}\n\n## Steps to Reproduce\n1. {{step_1}}\n2. {{step_2}}\n3. {{step_3}}\n\n## Expected Behavior\n{{expected}}\n\n## Actual Behavior\n{{actual}}\n\n**Environment:**\n- OS: {{OS}}\n- Version: {{version}}`,
-      labels: ['bug']
-    },
-    FEATURE: {
-      titlePrefix: '[FEATURE]',
-      body: `## Problem Statement\n{{problem_description -- make this brief and concise}}\n\n## Proposed Solution\n{{solution_details}}\n\n## Alternatives Considered\n{{alternatives}}\n\n## Additional Context\n{{context}}`,
-      labels: ['enhancement']
-    },
-    ENHANCEMENT: {
-      titlePrefix: '[ENHANCEMENT]',
-      body: `## Current Behavior\n{{current_state}}\n\n## Proposed Improvement\n{{improvement_details}}\n\n## Expected Benefits\n{{benefits}}\n\n## Implementation Notes\n{{notes}}`,
-      labels: ['enhancement']
-    },
-    PERFORMANCE: {
-      titlePrefix: '[PERFORMANCE]',
-      body: `## Affected Component\n{{component}}\n\n## Current Performance\n{{metrics}}\n\n## Performance Targets\n{{targets}}\n\n## Benchmark Results\n{{results}}\n\n## Optimization Strategies\n{{strategies}}`,
-      labels: ['performance']
+// JSON schema for providers with structured output support. Length limits stay in
+// IssueSchema because strict mode doesn't support them.
+export const IssueResponseJSONSchema = {
+  name: 'issues_response',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['issues'],
+    properties: {
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['title', 'body', 'labels', 'images', 'files', 'repo', 'template', 'milestone', 'assignees'],
+          properties: {
+            title: { type: 'string', description: 'Technical summary of the issue' },
+            body: { type: 'string', description: 'Markdown formatted issue description with sections' },
+            labels: { type: 'array', items: { type: 'string' } },
+            images: { type: 'array', items: { type: 'integer' } },
+            files: { type: 'array', items: { type: 'integer' } },
+            repo: { type: ['string', 'null'] },
+            template: { type: ['string', 'null'] },
+            milestone: { type: ['string', 'null'] },
+            assignees: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
     }
-  };
+  }
+};
+
+const MAX_GENERATION_ATTEMPTS = 3;
+const MAX_REVIEW_QUESTIONS = 5;
+
+export const ReviewSchema = z.object({
+  ready: z.boolean().describe("Whether the report has enough information to be filed"),
+  questions: z.array(z.object({
+    field: z.string().describe("Template section the question fills in"),
+    question: z.string().min(5).describe("Short follow-up question for the reporter")
+  })).default([])
+});
+
+export const ReviewResponseJSONSchema = {
+  name: 'report_review',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['ready', 'questions'],
+    properties: {
+      ready: { type: 'boolean' },
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['field', 'question'],
+          properties: {
+            field: { type: 'string' },
+            question: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// /ask: a question about the project board, turned into a filter over its items. Every set condition must hold.
+export const BoardQuerySchema = z.object({
+  statuses: z.array(z.string()).default([]).describe("Status columns, any of which the item must be in; empty for every column"),
+  assignees: z.array(z.string()).default([]).describe("GitHub logins, any of which must be assigned"),
+  unassigned: z.boolean().default(false).describe("Only items nobody is assigned to"),
+  labels: z.array(z.string()).default([]).describe("Labels the issue must all have"),
+  milestone: z.string().nullish().describe("Milestone title the issue must be in"),
+  keywords: z.array(z.string()).default([]).describe("Words, any of which must appear in the title or body"),
+  state: z.enum(['open', 'closed', 'all']).default('open').describe("Issue state"),
+  minDaysInStatus: z.number().int().positive().nullish().describe("Only items that have been in their column at least this many days"),
+  explanation: z.string().default('').describe("One sentence on how the question was read")
+});
 
-export async function generateIssueContent({ text, images }, channel) {
-  logger.info('Starting AI content generation', { textLength: text.length, imageCount: images.length });
+export const BoardQueryResponseJSONSchema = {
+  name: 'board_query',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['statuses', 'assignees', 'unassigned', 'labels', 'milestone', 'keywords', 'state', 'minDaysInStatus', 'explanation'],
+    properties: {
+      statuses: { type: 'array', items: { type: 'string' } },
+      assignees: { type: 'array', items: { type: 'string' } },
+      unassigned: { type: 'boolean' },
+      labels: { type: 'array', items: { type: 'string' } },
+      milestone: { type: ['string', 'null'] },
+      keywords: { type: 'array', items: { type: 'string' } },
+      state: { type: 'string', enum: ['open', 'closed', 'all'] },
+      minDaysInStatus: { type: ['integer', 'null'] },
+      explanation: { type: 'string' }
+    }
+  }
+};
+
+// Matches beyond this many are left out of the summary prompt
+const MAX_SUMMARY_ITEMS = 50;
+
+export async function generateIssueContent({ text, images, files = [] }, channel, { templates = DEFAULT_TEMPLATES, repos = [], repositories = [], onUsage, ...config } = {}) {
+  logger.info('Starting AI content generation', { textLength: text.length, imageCount: images.length, fileCount: files.length });
 
   try {
     const imageContents = await processImages(images, channel);
-    const messages = buildMessages(text, imageContents);
+    const messages = buildMessages(text, imageContents, describeFiles(files), templates, repos, repositories);
     
-    logger.debug('Starting OpenAI streaming request');
-    const stream = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages,
-      temperature: 0.1,
-      response_format: { type: "json_object" },
-      stream: true
-    });
+    // Threads report their guild; DMs fall back to the default settings
+    const settings = resolveLLMSettings(channel.guildId, configLLMOverrides(config));
+    const provider = getLLMProvider(settings);
+    const usage = { promptTokens: 0, completionTokens: 0 };
 
-    return handleAIStream(stream, channel);
+    try {
+      return await generateWithRetries(provider, settings, messages, channel, usage);
+    } finally {
+      // Failed attempts still spend tokens
+      onUsage?.({ model: settings.model, ...usage });
+    }
   } catch (error) {
     logger.error('AI content generation failed', { error });
     throw error;
   }
 }
 
+// Interview mode: decide whether the report so far can be filed or which questions to ask first.
+// Reviews run quietly in the background, so an unreadable answer counts as ready rather than retrying.
+export async function reviewReport({ text, images, files = [] }, channel, { templates = DEFAULT_TEMPLATES, onUsage, ...config } = {}) {
+  const settings = resolveLLMSettings(channel.guildId, configLLMOverrides(config));
+  const content = await completeChat(
+    settings,
+    buildReviewMessages(text, images.length, describeFiles(files), templates),
+    { responseSchema: ReviewResponseJSONSchema, onUsage }
+  );
+
+  let review;
+  try {
+    review = ReviewSchema.safeParse(JSON.parse(extractJSON(content)));
+  } catch (error) {
+    review = { success: false, error };
+  }
+
+  if (!review.success) {
+    logger.warn('Report review was unreadable, treating the report as ready', { error: review.error });
+    return { ready: true, questions: [] };
+  }
+
+  const questions = review.data.questions.slice(0, MAX_REVIEW_QUESTIONS);
+  return { ready: review.data.ready || questions.length === 0, questions };
+}
+
+// Turn a question about the board into a BoardQuerySchema filter, using the board's own
+// columns, labels, people and milestones so the values match what's there
+export async function translateBoardQuery(question, board, { guildId, onUsage, ...config } = {}) {
+  const settings = resolveLLMSettings(guildId, configLLMOverrides(config));
+  const content = await completeChat(settings, buildBoardQueryMessages(question, board), {
+    responseSchema: BoardQueryResponseJSONSchema,
+    onUsage
+  });
+
+  let query;
+  try {
+    query = BoardQuerySchema.safeParse(JSON.parse(extractJSON(content)));
+  } catch (error) {
+    query = { success: false, error };
+  }
+
+  if (!query.success) {
+    logger.warn('Board query was unreadable', { error: query.error });
+    throw new Error('The AI couldn\'t turn that question into a board query. Try rephrasing it.');
+  }
+  return query.data;
+}
+
+// A few sentences answering the question from the matching items, which are listed separately
+export async function summarizeBoardAnswer(question, items, { guildId, onUsage, ...config } = {}) {
+  const settings = resolveLLMSettings(guildId, configLLMOverrides(config));
+  const content = await completeChat(settings, buildBoardSummaryMessages(question, items), { plainText: true, onUsage });
+  return content.trim();
+}
+
+// Collect a full response, reporting its token usage even when the stream fails.
+// Replies are JSON, matching responseSchema where the provider supports it, unless plainText is set.
+async function completeChat(settings, messages, { responseSchema, plainText = false, onUsage } = {}) {
+  const provider = getLLMProvider(settings);
+  const usage = { promptTokens: 0, completionTokens: 0 };
+
+  let content = '';
+  try {
+    const stream = provider.streamChat({
+      messages,
+      model: settings.model,
+      temperature: settings.temperature,
+      responseSchema: settings.structuredOutputs ? responseSchema : undefined,
+      plainText,
+      onUsage: ({ promptTokens, completionTokens }) => {
+        usage.promptTokens += promptTokens;
+        usage.completionTokens += completionTokens;
+      }
+    });
+    for await (const chunk of stream) content += chunk;
+  } finally {
+    onUsage?.({ model: settings.model, ...usage });
+  }
+  return content;
+}
+
+// Validation errors are fed back to the model until it produces valid issues
+async function generateWithRetries(provider, settings, messages, channel, usage) {
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    logger.debug(`Starting ${settings.provider} streaming request`, { model: settings.model, attempt });
+    const stream = provider.streamChat({
+      messages,
+      model: settings.model,
+      temperature: settings.temperature,
+      responseSchema: settings.structuredOutputs ? IssueResponseJSONSchema : undefined,
+      onUsage: ({ promptTokens, completionTokens }) => {
+        usage.promptTokens += promptTokens;
+        usage.completionTokens += completionTokens;
+      }
+    });
+
+    const content = await handleAIStream(stream, channel);
+    const result = parseAIResponse(content);
+    if (result.success) return result.data;
+
+    logger.warn('AI response validation failed', { attempt, errors: result.errors });
+    if (attempt === MAX_GENERATION_ATTEMPTS) {
+      throw new Error(`Validation failed after ${attempt} attempts: ${result.errors.join(', ')}`);
+    }
+
+    // Feed the errors back so the model can correct its own output
+    await channel.send(`⚠️ The AI response didn't validate, retrying (${attempt + 1}/${MAX_GENERATION_ATTEMPTS})...`);
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `Your response was invalid:\n- ${result.errors.join('\n- ')}\nReturn the corrected JSON object with an "issues" array and nothing else.` }
+    );
+  }
+}
+
+// Images are numbered by attachment order so the model can assign them to issues
 async function processImages(images, channel) {
-  return Promise.all(images.map(async url => {
+  return Promise.all(images.map(async ({ sourceUrl, url }, index) => {
     try {
-      logger.debug(`Processing image: ${url}`);
-      const dataUrl = await fetchImageAsBase64(url);
-      return { type: 'image_url', image_url: { url: dataUrl } };
+      logger.debug(`Processing image: ${sourceUrl}`);
+      const dataUrl = await fetchImageAsBase64(sourceUrl ?? url);
+      return [
+        { type: 'text', text: `Image ${index + 1}:` },
+        { type: 'image_url', image_url: { url: dataUrl } }
+      ];
     } catch (error) {
-      logger.warn(`Skipping image ${url}: ${error.message}`);
+      logger.warn(`Skipping image ${sourceUrl}: ${error.message}`);
       await channel.send(`⚠️ Skipping image: ${error.message}`);
-      return null;
+      return [];
     }
-  })).then(results => results.filter(Boolean));
+  })).then(results => results.flat());
+}
+
+// Text files are passed as excerpts; binaries are only named so the model knows they exist
+function describeFiles(files) {
+  return files.map((file, index) => ({
+    type: 'text',
+    text: file.kind === 'text'
+      ? `File ${index + 1} (${file.name}${file.truncated ? ', excerpt' : ''}):\n${file.content}`
+      : `File ${index + 1} (${file.name}): binary attachment, contents not available`
+  }));
 }
 
 async function fetchImageAsBase64(url) {
@@ -82,7 +300,117 @@ async function fetchImageAsBase64(url) {
   return `data:${contentType};base64,${Buffer.from(buffer).toString('base64')}`;
 }
 
-function buildMessages(text, imageContents) {
+// Templates are described section by section so drafts match the repository's issue forms
+function describeTemplates(templates) {
+  return templates.map(template => {
+    const fields = template.fields.length
+      ? template.fields.map(field => `${field.heading} ${field.label}` +
+        (field.required ? ' (required)' : '') +
+        (field.options?.length ? ` — one of: ${field.options.join(', ')}` : '') +
+        (field.description ? ` — ${field.description}` : ''))
+      : [template.body];
+
+    return `Template "${template.name}"${template.description ? `: ${template.description}` : ''}\n` +
+      `Title prefix: "${template.titlePrefix}"; labels: ${template.labels.join(', ') || 'none'}\n` +
+      `Body sections:\n${fields.join('\n')}`;
+  }).join('\n\n');
+}
+
+function buildReviewMessages(text, imageCount, fileContents, templates) {
+  return [{
+    role: 'system',
+    content: `You help a reporter write a complete GitHub issue before it is drafted. Review the report so far against the templates below and return JSON with:
+      - ready: true when every required section of the best fitting template can be filled from the report, and a bug report says how to reproduce it and where it happens
+      - questions: one short, specific question for each section that is still missing, with field set to the section's heading
+
+      ${describeTemplates(templates)}
+
+      Rules:
+      1. Ask at most ${MAX_REVIEW_QUESTIONS} questions, most important first
+      2. Don't ask about anything the report or its files already answer
+      3. Earlier rounds appear in the report as "Follow-up questions"; never ask one again, and if the reporter couldn't answer it, move on
+      4. Ask in plain language the reporter will understand, without mentioning templates or sections
+      5. With nothing left worth asking, set ready to true and return no questions`
+  }, {
+    role: 'user',
+    content: [
+      { type: 'text', text: text.join('\n\n') || '(nothing yet)' },
+      ...(imageCount ? [{ type: 'text', text: `The reporter attached ${imageCount} screenshot${imageCount === 1 ? '' : 's'}.` }] : []),
+      ...fileContents
+    ]
+  }];
+}
+
+function buildBoardQueryMessages(question, { statuses, labels, assignees, milestones }) {
+  return [{
+    role: 'system',
+    content: `You translate questions about a GitHub project board into a JSON filter over its items, with:
+      ${Object.entries(BoardQuerySchema.shape).map(([key, field]) => `- ${key}: ${field.description}`).join('\n      ')}
+
+      Status columns: ${statuses.join(', ') || 'none'}
+      Labels in use: ${labels.slice(0, 100).join(', ') || 'none'}
+      Assignees: ${assignees.slice(0, 100).join(', ') || 'none'}
+      Milestones: ${milestones.slice(0, 20).join(', ') || 'none'}
+
+      Rules:
+      1. Use only the columns, labels, assignees and milestones listed above, spelled exactly as listed
+      2. Match people to the closest assignee login; a name like "@login" is already a login
+      3. Words like "blocked" or "perf" map to a column or label when one fits, otherwise to keywords
+      4. "Stuck", "stale" or "not moving" means minDaysInStatus, 14 unless the question says otherwise
+      5. Leave a condition empty or null unless the question asks for it; questions are about open issues unless they say otherwise`
+  }, {
+    role: 'user',
+    content: question
+  }];
+}
+
+function buildBoardSummaryMessages(question, items) {
+  const lines = items.slice(0, MAX_SUMMARY_ITEMS).map(item => {
+    const issue = item.content;
+    return `#${issue.number} ${issue.title} — ${item.fieldValueByName?.name ?? 'No status'} for ${daysInStatus(item)} days; ` +
+      `assignees: ${issue.assignees.nodes.map(a => a.login).join(', ') || 'none'}; ` +
+      `labels: ${issue.labels.nodes.map(l => l.name).join(', ') || 'none'}`;
+  });
+
+  return [{
+    role: 'system',
+    content: `You answer a question about a GitHub project board from the issues that match it. Reply in at most three sentences of plain text: answer the question directly and point out what stands out, such as who has the most, which column they sit in or what has been waiting longest. The issues are listed under your answer, so don't repeat them one by one.`
+  }, {
+    role: 'user',
+    content: `Question: ${question}\n\n${items.length} matching issues${items.length > lines.length ? ` (first ${lines.length} shown)` : ''}:\n${lines.join('\n')}`
+  }];
+}
+
+// Only what the repository really has may be used; long lists are cut to keep the prompt small
+function describeRepositories(repositories) {
+  return repositories.map(({ repo, labels, milestones, assignees, codeOwners }) => [
+    `Repository ${repo}:`,
+    labels.length
+      ? `Labels: ${labels.slice(0, 100).map(l => l.description ? `${l.name} (${l.description})` : l.name).join('; ')}`
+      : 'Labels: any',
+    `Open milestones: ${milestones.slice(0, 20).map(m => m.dueOn ? `${m.title} (due ${m.dueOn.slice(0, 10)})` : m.title).join('; ') || 'none'}`,
+    `Assignable users: ${assignees.slice(0, 50).join(', ') || 'none'}`,
+    ...(codeOwners.length ? ['CODEOWNERS:', ...codeOwners.slice(0, 50).map(rule => `${rule.pattern} ${rule.owners.join(' ')}`)] : [])
+  ].join('\n')).join('\n\n');
+}
+
+function buildMessages(text, imageContents, fileContents = [], templates = DEFAULT_TEMPLATES, repos = [], repositories = []) {
+  const routing = repos.length > 1
+    ? `
+      Repository routing:
+      Set each issue's repo to the one repository below that should own it:
+      ${repos.map(({ repo, description }) => `- ${repo}: ${description}`).join('\n      ')}`
+    : '';
+
+  const metadata = repositories.length
+    ? `
+      10. Use only labels listed for the issue's repository, spelled exactly as listed
+      11. Set milestone to one of the repository's open milestones only when the report clearly belongs in it, otherwise null
+      12. Set assignees only to assignable users who own the affected code in CODEOWNERS, otherwise leave it empty
+
+      ${describeRepositories(repositories)}`
+    : '';
+
   return [{
     role: 'system',
     content: `Analyze input to identify multiple distinct issues. Always return JSON array of issues with:
@@ -90,8 +418,10 @@ function buildMessages(text, imageContents) {
       2. Maintain atomicity (each issue solves one problem)
       3. Follow same schema as single issues
       4. Add labels to each issue from its content
-      5. Use appropriate template for each issue type
-      ${JSON.stringify(IssueTemplates, null, 2)}
+      5. Pick the best fitting template below for each issue, set its name as the issue's template, start the title with its prefix and write the body with exactly its sections, in order, under the same headings. Fill every section from the report; write "_No response_" for a section only when the report says nothing about it.
+
+      ${describeTemplates(templates)}
+
       JSON Schema Requirements:
       ${JSON.stringify(IssueSchema.element.shape, null, 2)}
       
@@ -101,32 +431,36 @@ function buildMessages(text, imageContents) {
       3. Ensure each issue has clear ownership boundaries
       4. Add cross-references between related issues
       5. Include dependencies between issues where applicable
-      6. Even it is a single issue, return a JSON array with issues property having one issue`
+      6. Even it is a single issue, return a JSON array with issues property having one issue
+      7. Images are labelled "Image N:"; list in each issue's images array only the numbers of the images that show that issue
+      8. Files are labelled "File N"; use logs and stack traces as evidence, quote only the relevant lines in the body, and list in each issue's files array the numbers of the files that belong to it
+      9. Refer to another issue in this batch only as {{issue:N}}, where N is its 1-based position in the issues array${metadata}${routing}`
 
   }, {
     role: 'user',
     content: [
       { type: 'text', text: text.join('\n\n') },
-      ...imageContents
+      ...imageContents,
+      ...fileContents
     ]
   }];
 }
 
-// Handle the AI stream and return the validated response
+// Handle the AI stream and return the raw response text
 async function handleAIStream(stream, channel) {
   let contentBuffer = '';
   const statusMessage = await channel.send('Starting generation...');
 
   try {
     for await (const chunk of stream) {
-      contentBuffer += chunk.choices[0]?.delta?.content || '';
+      contentBuffer += chunk;
       await updateStatusMessage(contentBuffer, statusMessage);
     }
 
     logger.debug('AI generation completed', { contentLength: contentBuffer.length });
     await statusMessage.edit(`✅ Generation complete!\n\`\`\`json\n${contentBuffer.slice(-1950)}\n\`\`\``);
     
-    return validateAIResponse(contentBuffer);
+    return contentBuffer;
   } catch (error) {
     logger.error('AI stream processing failed', { error });
     await statusMessage.edit('❌ Generation failed!');
@@ -140,14 +474,69 @@ async function updateStatusMessage(content, message) {
   }
 }
 
-function validateAIResponse(content) {
-  const rawData = JSON.parse(content);
-  const validation = IssueSchema.safeParse(rawData.issues);
-  
+// Models wrap JSON in prose or code fences; keep the outermost JSON value
+function extractJSON(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = (fenced ? fenced[1] : content).trim();
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  return start === -1 || end < start ? text : text.slice(start, end + 1);
+}
+
+// Fix what can be fixed mechanically before validating
+function repairIssue(issue) {
+  if (!issue || typeof issue !== 'object') return issue;
+
+  const numbers = value => (Array.isArray(value) ? value : [])
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n > 0);
+  const labels = typeof issue.labels === 'string' ? issue.labels.split(',') : issue.labels;
+
+  return {
+    ...issue,
+    title: typeof issue.title === 'string' ? issue.title.trim() : issue.title,
+    labels: Array.isArray(labels)
+      ? labels.map(l => String(l).trim()).filter(l => l.length >= 2 && l.length <= 50)
+      : [],
+    assignees: Array.isArray(issue.assignees)
+      ? issue.assignees.map(login => String(login).trim().replace(/^@/, '')).filter(Boolean)
+      : [],
+    images: numbers(issue.images),
+    files: numbers(issue.files),
+    repo: typeof issue.repo === 'string' && issue.repo.trim() ? issue.repo.trim() : undefined,
+    milestone: typeof issue.milestone === 'string' && issue.milestone.trim() ? issue.milestone.trim() : undefined
+  };
+}
+
+export function parseAIResponse(content) {
+  let rawData;
+  try {
+    rawData = JSON.parse(extractJSON(content));
+  } catch (error) {
+    return { success: false, errors: [`Response is not valid JSON (${error.message})`] };
+  }
+
+  // Accept { issues: [...] }, a bare array, or a single issue object
+  const issues = Array.isArray(rawData) ? rawData
+    : Array.isArray(rawData?.issues) ? rawData.issues
+    : rawData?.title ? [rawData]
+    : null;
+
+  if (!issues) {
+    return { success: false, errors: ['Expected an object with an "issues" array'] };
+  }
+
+  const validation = IssueSchema.safeParse(issues.map(repairIssue));
   if (!validation.success) {
-    logger.error('AI response validation failed', { errors: validation.error.errors });
-    throw new Error(`Validation failed: ${validation.error.errors.map(e => `${e.path}: ${e.message}`).join(', ')}`);
+    return {
+      success: false,
+      errors: validation.error.errors.map(e => `issues.${e.path.join('.')}: ${e.message}`)
+    };
   }
 
-  return validation.data;
-} 
\ No newline at end of file
+  if (validation.data.length === 0) {
+    return { success: false, errors: ['The "issues" array is empty'] };
+  }
+
+  return { success: true, data: validation.data };
+}
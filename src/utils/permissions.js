@@ -0,0 +1,91 @@
+import { configScope } from './config-store.js';
+import { usageStore } from './usage-store.js';
+
+// Commands anyone can run regardless of role and channel rules
+export const UNRESTRICTED_COMMANDS = ['config', 'template', 'link-github', 'test'];
+
+// Which daily counters a command consumes
+const COMMAND_USAGE = {
+  'create-issue': ['generations', 'issues'],
+  'capture-issue': ['generations', 'issues'],
+  ask: ['generations']
+};
+
+// Message context menus share the rules and quotas of /capture-issue
+const COMMAND_ALIASES = {
+  'Create GitHub issue': 'capture-issue',
+  'Create GitHub issue from here': 'capture-issue'
+};
+
+const commandKey = interaction => COMMAND_ALIASES[interaction.commandName] ?? interaction.commandName;
+
+const ruleMatches = (rule, { memberRoles, channelIds }) => rule.type === 'role'
+  ? memberRoles.has(rule.id)
+  : channelIds.includes(rule.id);
+
+// Returns a refusal message, or null when the member may run the command
+export function checkCommandAccess(interaction, config) {
+  const command = commandKey(interaction);
+  if (UNRESTRICTED_COMMANDS.includes(command)) return null;
+
+  // A DM has no server whose roles, rules and quotas could apply
+  if (!interaction.guildId) {
+    return `🔒 \`/${command}\` only works in a server, where its roles and limits apply.`;
+  }
+
+  const context = {
+    memberRoles: interaction.member?.roles?.cache ?? new Map(),
+    // Rules for a channel also cover threads inside it
+    channelIds: [interaction.channelId, configScope(interaction.channel).channelId]
+  };
+
+  if (config.allowedRoles.length && !config.allowedRoles.some(roleId => context.memberRoles.has(roleId))) {
+    return '🔒 You don\'t have a role that is allowed to use this bot here.';
+  }
+
+  const rules = (config.commandRules ?? []).filter(rule => rule.command === command || rule.command === '*');
+
+  if (rules.some(rule => rule.effect === 'deny' && ruleMatches(rule, context))) {
+    return `🔒 \`/${command}\` isn't available to you in this channel.`;
+  }
+
+  const allowRules = rules.filter(rule => rule.effect === 'allow');
+  if (allowRules.length && !allowRules.some(rule => ruleMatches(rule, context))) {
+    return `🔒 \`/${command}\` is limited to specific roles or channels.`;
+  }
+
+  return null;
+}
+
+// Returns a refusal message when a daily quota or the cost budget is used up
+export async function checkQuota({ guildId, userId }, config, counters) {
+  const quotas = config.quotas ?? {};
+  const usage = await usageStore.get({ guildId, userId });
+  const resetNote = 'Limits reset at 00:00 UTC.';
+
+  for (const counter of counters) {
+    const noun = counter === 'generations' ? 'AI generations' : 'created issues';
+    const userLimit = quotas[`user${counter[0].toUpperCase()}${counter.slice(1)}`];
+    const guildLimit = quotas[`guild${counter[0].toUpperCase()}${counter.slice(1)}`];
+
+    if (userLimit && usage.user[counter] >= userLimit) {
+      return `⏳ You've reached your daily limit of ${userLimit} ${noun}. ${resetNote}`;
+    }
+    if (guildLimit && usage.guild[counter] >= guildLimit) {
+      return `⏳ This server has reached its daily limit of ${guildLimit} ${noun}. ${resetNote}`;
+    }
+  }
+
+  const budget = config.dailyBudget ?? (process.env.DAILY_BUDGET_USD ? parseFloat(process.env.DAILY_BUDGET_USD) : null);
+  if (counters.includes('generations') && budget && usage.guild.cost >= budget) {
+    return `💸 Today's AI budget for this server ($${budget.toFixed(2)}) is used up. ${resetNote}`;
+  }
+
+  return null;
+}
+
+export async function checkCommandQuota(interaction, config) {
+  const counters = COMMAND_USAGE[commandKey(interaction)];
+  if (!counters) return null;
+  return checkQuota({ guildId: interaction.guildId, userId: interaction.user.id }, config, counters);
+}
@@ -0,0 +1,59 @@
+import { logger } from './logger.js';
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+
+export const SessionState = {
+  COLLECTING: 'collecting',
+  GENERATING: 'generating',
+  PREVIEW: 'preview',
+  FAILED: 'failed',
+  // Some drafts were filed and the rest wait for "Retry failed"
+  PARTIAL: 'partial'
+};
+
+// Sessions are keyed by the thread/DM channel and the reporting user
+export const sessionKey = (channelId, userId) => `${channelId}:${userId}`;
+
+// File-backed store; the whole map is rewritten atomically on every change
+export function createFileSessionStore(filePath) {
+  const sessions = new Map();
+  const write = createJSONFileWriter(filePath);
+  const persist = () => write(Object.fromEntries(sessions));
+
+  return {
+    async load() {
+      const stored = await readJSONFile(filePath, {});
+      const now = Date.now();
+      for (const [key, session] of Object.entries(stored)) {
+        if (session.expiresAt > now) sessions.set(key, session);
+      }
+      logger.info(`Loaded ${sessions.size} active sessions from ${filePath}`);
+      await persist();
+      return [...sessions.values()];
+    },
+
+    get(channelId, userId) {
+      return sessions.get(sessionKey(channelId, userId)) ?? null;
+    },
+
+    // The session drafting from a reaction on this message, until it's filed or cancelled
+    findByTrigger(messageId) {
+      return [...sessions.values()].find(session => session.trigger?.messageId === messageId) ?? null;
+    },
+
+    async save(session) {
+      session.updatedAt = Date.now();
+      sessions.set(sessionKey(session.channelId, session.userId), session);
+      await persist();
+      return session;
+    },
+
+    async delete(session) {
+      sessions.delete(sessionKey(session.channelId, session.userId));
+      await persist();
+    }
+  };
+}
+
+export const sessionStore = createFileSessionStore(
+  process.env.SESSION_STORE_PATH || 'data/sessions.json'
+);
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import { uploadRepositoryFile } from './github-utils.js';
+import { logger } from './logger.js';
+
+// Storage backends turn a downloaded attachment into a permanent URL
+const backends = {
+  github: {
+    async store({ name, buffer, target }) {
+      const basePath = (process.env.ATTACHMENTS_PATH || '.github/issue-assets').replace(/\/+$/, '');
+      const month = new Date().toISOString().slice(0, 7);
+      const safeName = name.replace(/[^\w.-]+/g, '_');
+      const filePath = `${basePath}/${month}/${crypto.randomUUID().slice(0, 8)}-${safeName}`;
+
+      return uploadRepositoryFile(filePath, buffer, {
+        // Kept off the default branch, where every upload would be a commit that triggers CI
+        branch: process.env.ATTACHMENTS_BRANCH || 'issue-attachments',
+        message: `Add issue attachment ${safeName}`,
+        target
+      });
+    }
+  },
+
+  // Legacy behaviour: hotlink Discord's signed CDN URL (expires)
+  discord: {
+    async store({ sourceUrl }) {
+      return sourceUrl;
+    }
+  }
+};
+
+export function registerStorageBackend(name, backend) {
+  backends[name] = backend;
+}
+
+export async function downloadAttachment(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Download a Discord attachment (unless already fetched) and persist it with the configured backend
+export async function storeAttachment(attachment, buffer, target) {
+  const backendName = process.env.ATTACHMENT_STORAGE || 'github';
+  const backend = backends[backendName];
+  if (!backend) throw new Error(`Unknown attachment storage backend: ${backendName}`);
+
+  buffer ??= await downloadAttachment(attachment.url);
+  const record = {
+    name: attachment.name,
+    contentType: attachment.contentType,
+    size: buffer.length,
+    sourceUrl: attachment.url
+  };
+
+  record.url = await backend.store({ ...record, buffer, target });
+  logger.info(`Stored attachment ${attachment.name} via ${backendName}: ${record.url}`);
+
+  return record;
+}
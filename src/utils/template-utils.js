@@ -0,0 +1,179 @@
+import { parse as parseYAML } from 'yaml';
+import { listRepositoryFiles } from './github-utils.js';
+import { logger } from './logger.js';
+
+const TEMPLATE_DIR = '.github/ISSUE_TEMPLATE';
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const slug = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = value => Array.isArray(value)
+  ? value.map(String)
+  : typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+
+// Markdown templates: each heading is a field; "*" or "(required)" after a heading marks it required
+export function markdownTemplate({ name, about, description, title, labels, body = '' }, source) {
+  const fields = [...body.matchAll(/^(#{2,3})[ \t]+(.+?)[ \t]*(\*|\(required\))?[ \t]*$/gm)].map(([, level, label, required]) => ({
+    id: slug(label),
+    label,
+    heading: level,
+    required: Boolean(required),
+    type: 'textarea'
+  }));
+
+  return {
+    name,
+    description: about ?? description ?? '',
+    titlePrefix: title ?? '',
+    labels: toList(labels),
+    source,
+    // Required markers are for the bot, not for the filed issue
+    body: body.replace(/^(#{2,3}[ \t]+.+?)[ \t]*(\*|\(required\))[ \t]*$/gm, '$1').trim(),
+    fields
+  };
+}
+
+// Issue forms: GitHub renders each input as a "### Label" section, so drafts follow the same layout
+export function issueFormTemplate(form, source) {
+  const fields = (form.body ?? [])
+    .filter(element => element.type !== 'markdown' && element.attributes?.label)
+    .map(element => ({
+      id: element.id ?? slug(element.attributes.label),
+      label: element.attributes.label,
+      heading: '###',
+      required: Boolean(element.validations?.required),
+      type: element.type,
+      description: element.attributes.description,
+      options: (element.attributes.options ?? []).map(option => typeof option === 'string' ? option : option.label)
+    }));
+
+  return {
+    name: form.name,
+    description: form.description ?? '',
+    titlePrefix: form.title ?? '',
+    labels: toList(form.labels),
+    source,
+    body: fields.map(field => `### ${field.label}`).join('\n\n'),
+    fields
+  };
+}
+
+// Used only when the repository has no templates and the server defined none
+export const DEFAULT_TEMPLATES = [
+  markdownTemplate({
+    name: 'Bug',
+    title: '[BUG] ',
+    labels: ['bug'],
+    body: '## Description *\n\n## Steps to Reproduce *\n\n## Expected Behavior\n\n## Actual Behavior\n\n## Environment'
+  }, 'builtin'),
+  markdownTemplate({
+    name: 'Feature',
+    title: '[FEATURE] ',
+    labels: ['enhancement'],
+    body: '## Problem Statement *\n\n## Proposed Solution\n\n## Alternatives Considered\n\n## Additional Context'
+  }, 'builtin'),
+  markdownTemplate({
+    name: 'Enhancement',
+    title: '[ENHANCEMENT] ',
+    labels: ['enhancement'],
+    body: '## Current Behavior *\n\n## Proposed Improvement *\n\n## Expected Benefits\n\n## Implementation Notes'
+  }, 'builtin'),
+  markdownTemplate({
+    name: 'Performance',
+    title: '[PERFORMANCE] ',
+    labels: ['performance'],
+    body: '## Affected Component *\n\n## Current Performance *\n\n## Performance Targets\n\n## Optimization Strategies'
+  }, 'builtin')
+];
+
+export function parseTemplateFile(name, content) {
+  if (/\.ya?ml$/i.test(name)) {
+    const form = parseYAML(content);
+    // config.yml configures the template chooser; it isn't a template
+    return form?.name && Array.isArray(form.body) ? issueFormTemplate(form, 'repo') : null;
+  }
+
+  if (/\.md$/i.test(name)) {
+    const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    const meta = frontMatter ? parseYAML(frontMatter[1]) ?? {} : {};
+    return markdownTemplate({
+      name: name.replace(/\.md$/i, ''),
+      ...meta,
+      body: content.slice(frontMatter?.[0].length ?? 0)
+    }, 'repo');
+  }
+
+  return null;
+}
+
+const repositoryCache = new Map();
+
+export async function loadRepositoryTemplates(target) {
+  const key = `${target.owner}/${target.repo}`;
+  const cached = repositoryCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.templates;
+
+  const templates = [];
+  for (const file of await listRepositoryFiles(TEMPLATE_DIR, target)) {
+    try {
+      const template = parseTemplateFile(file.name, file.content);
+      if (template) templates.push(template);
+    } catch (error) {
+      logger.warn(`Skipping issue template ${file.name} in ${key}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Loaded ${templates.length} issue templates from ${key}`);
+  repositoryCache.set(key, { templates, expiresAt: Date.now() + CACHE_TTL });
+  return templates;
+}
+
+// Repository templates plus the server's own, narrowed by the `templates` setting
+export async function resolveTemplates(config, target, { filter = true } = {}) {
+  const repoTemplates = target.owner && target.repo
+    ? await loadRepositoryTemplates(target).catch(error => {
+      logger.warn(`Couldn't load issue templates: ${error.message}`);
+      return [];
+    })
+    : [];
+  const customTemplates = (config.customTemplates ?? []).map(template => markdownTemplate(template, 'custom'));
+
+  const templates = [...repoTemplates, ...customTemplates];
+  const available = templates.length ? templates : DEFAULT_TEMPLATES;
+  if (!filter || !config.templates?.length) return available;
+
+  const wanted = config.templates.map(name => name.toLowerCase());
+  return available.filter(template => wanted.includes(template.name.toLowerCase()));
+}
+
+export const findTemplate = (templates, name) =>
+  templates?.find(template => template.name.toLowerCase() === name?.toLowerCase()) ?? null;
+
+// Content between a field's heading and the next heading of the same or higher level
+function sectionPattern(field) {
+  const level = field.heading.length;
+  return new RegExp(`^#{${level}}\\s+${escapeRegExp(field.label)}[ \\t]*$([\\s\\S]*?)(?=^#{1,${level}}\\s|(?![\\s\\S]))`, 'm');
+}
+
+const EMPTY_ANSWER = /^(_?no response_?|n\/a|tbd|unknown|\{\{.*\}\})?$/i;
+
+// Required fields the draft's body leaves empty
+export function findMissingFields(draft, templates) {
+  const template = findTemplate(templates, draft.template);
+  if (!template) return [];
+
+  return template.fields.filter(field => {
+    if (!field.required) return false;
+    const section = draft.body.match(sectionPattern(field));
+    return !section || EMPTY_ANSWER.test(section[1].trim());
+  });
+}
+
+// Write a field's answer into its section, adding the section when the model left it out
+export function fillField(body, field, value) {
+  const pattern = sectionPattern(field);
+  const section = `${field.heading} ${field.label}\n\n${value.trim()}\n\n`;
+  return (pattern.test(body) ? body.replace(pattern, section) : `${body.trimEnd()}\n\n${section}`).trimEnd();
+}
@@ -0,0 +1,83 @@
+import { logger } from './logger.js';
+import { readJSONFile, createJSONFileWriter } from './json-file.js';
+import { llmTokensTotal, llmCostTotal } from './metrics.js';
+
+// USD per 1M tokens; LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override for other models
+const MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+};
+
+export function estimateCost(model, { promptTokens = 0, completionTokens = 0 }) {
+  const price = process.env.LLM_PRICE_INPUT
+    ? { input: parseFloat(process.env.LLM_PRICE_INPUT), output: parseFloat(process.env.LLM_PRICE_OUTPUT || process.env.LLM_PRICE_INPUT) }
+    : MODEL_PRICES[model] ?? Object.entries(MODEL_PRICES).find(([name]) => model?.startsWith(name))?.[1]
+    ?? { input: 0, output: 0 };
+
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+const emptyCounters = () => ({ generations: 0, issues: 0, tokens: 0, cost: 0 });
+
+// Daily counters per guild and per user, keyed by UTC date
+export function createFileUsageStore(filePath) {
+  const write = createJSONFileWriter(filePath);
+  let days = null;
+
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  const load = async () => {
+    days ??= await readJSONFile(filePath, {});
+    if (!days[today()]) {
+      // Only today's counters matter for quotas
+      for (const day of Object.keys(days)) delete days[day];
+      days[today()] = { guilds: {}, users: {} };
+    }
+    return days[today()];
+  };
+
+  return {
+    async get({ guildId, userId }) {
+      const day = await load();
+      return {
+        guild: { ...emptyCounters(), ...day.guilds[guildId ?? 'dm'] },
+        user: { ...emptyCounters(), ...day.users[userId] }
+      };
+    },
+
+    async record({ guildId, userId }, { generations = 0, issues = 0, tokens = 0, cost = 0 }) {
+      const day = await load();
+      for (const counters of [
+        day.guilds[guildId ?? 'dm'] ??= emptyCounters(),
+        day.users[userId] ??= emptyCounters()
+      ]) {
+        counters.generations += generations;
+        counters.issues += issues;
+        counters.tokens += tokens;
+        counters.cost += cost;
+      }
+      logger.debug('Recorded usage', { guildId, userId, generations, issues, tokens, cost });
+      await write(days);
+    }
+  };
+}
+
+export const usageStore = createFileUsageStore(
+  process.env.USAGE_STORE_PATH || 'data/usage.json'
+);
+
+// Build the onUsage callback passed to generateIssueContent; interview reviews spend tokens
+// without counting toward the generation quota
+export function trackGeneration(scope, { generations = 1 } = {}) {
+  return ({ model, promptTokens, completionTokens }) => {
+    const cost = estimateCost(model, { promptTokens, completionTokens });
+    const guild = scope.guildId ?? 'dm';
+    llmTokensTotal.inc({ guild, model, type: 'prompt' }, promptTokens);
+    llmTokensTotal.inc({ guild, model, type: 'completion' }, completionTokens);
+    llmCostTotal.inc({ guild, model }, cost);
+
+    return usageStore.record(scope, { generations, tokens: promptTokens + completionTokens, cost });
+  };
+}
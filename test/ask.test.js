@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+let harness;
+before(async () => {
+  harness = await startHarness({ labels: ['bug', 'performance', 'blocked'] });
+  const { github, user } = harness;
+  github.addProjectItem({ title: 'Search is slow on large boards', status: 'Backlog', labels: ['bug', 'performance'], movedAt: ago(20 * DAY) });
+  github.addProjectItem({ title: 'Slow startup', status: 'In Progress', labels: ['bug', 'performance'], assignees: ['alice-dev'] });
+  github.addProjectItem({ title: 'Login fails behind proxy', status: 'In Progress', labels: ['bug', 'blocked'], assignees: ['alice-dev'] });
+  github.addProjectItem({ title: 'Dark mode', status: 'Backlog', labels: ['enhancement'] });
+
+  const { githubLinkStore } = await import('../src/utils/github-auth.js');
+  await githubLinkStore.set(user.id, { login: 'alice-dev', authentication: {}, linkedAt: Date.now() });
+});
+after(() => harness.close());
+
+const titles = message => message.embeds[0].fields.map(field => field.name);
+
+const query = fields => ({
+  statuses: [], assignees: [], unassigned: false, labels: [], milestone: null,
+  keywords: [], state: 'open', minDaysInStatus: null, explanation: '', ...fields
+});
+
+test('/ask turns the question into a board query and shows it with the matches', async () => {
+  const { llm } = harness;
+  llm.respond(
+    query({ statuses: ['Backlog'], labels: ['bug', 'performance'], explanation: 'Open performance bugs in Backlog' }),
+    'One performance bug is still in Backlog and has been there for almost three weeks.'
+  );
+
+  const { replyMessage: answer } = await harness.command('ask', { question: 'Which perf bugs are still in Backlog?' });
+
+  assert.deepEqual(titles(answer), ['Search is slow on large boards']);
+  assert.match(answer.content, /almost three weeks/);
+  assert.match(answer.content, /Open performance bugs in Backlog:\n```\nis:open status:Backlog label:bug label:performance\n```/);
+
+  // The LLM only gets to pick from what the board has
+  const prompt = llm.requests.at(-2)[0].content;
+  assert.match(prompt, /Status columns: Todo, Backlog, In Progress, Done/);
+  assert.match(prompt, /Labels in use: blocked, bug, enhancement, performance/);
+});
+
+test('/ask passes linked members to the LLM by their GitHub login', async () => {
+  const { llm, user } = harness;
+  llm.respond(query({ assignees: ['alice-dev'], labels: ['blocked'] }), 'Alice has one blocked issue.');
+
+  const { replyMessage: answer } = await harness.command('ask', { question: `What is <@${user.id}> working on that's blocked?` });
+
+  assert.equal(llm.requests.at(-2)[1].content, 'What is @alice-dev working on that\'s blocked?');
+  assert.deepEqual(titles(answer), ['Login fails behind proxy']);
+  assert.match(answer.content, /assignee:alice-dev label:blocked/);
+});
+
+test('/ask skips the summary when nothing matches', async () => {
+  const { llm } = harness;
+  const requests = llm.requests.length;
+  llm.respond(query({ statuses: ['Done'], keywords: ['export'], minDaysInStatus: 7 }));
+
+  const { replyMessage: answer } = await harness.command('ask', { question: 'What shipped?' });
+
+  assert.equal(llm.requests.length, requests + 1);
+  assert.match(answer.content, /No issues on the board match this question/);
+  assert.match(answer.content, /```\nis:open status:Done\n```\nAlso: title or body mentions "export"; in its column for 7\+ days$/);
+  assert.equal(answer.embeds[0].description, 'No issues match these filters.');
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChannelType } from 'discord.js';
+import { FakeChannel, fakeUser } from './fakes/discord.js';
+import { startHarness, waitFor, lastThread } from './helpers/harness.js';
+import { draft } from './helpers/drafts.js';
+
+let harness;
+before(async () => { harness = await startHarness(); });
+after(() => harness.close());
+
+// Runs the message context menu on `target` and waits for the preview it posts
+async function captureFrom(target, generated) {
+  const { llm } = harness;
+  llm.respond({ issues: [generated] });
+  await harness.command('Create GitHub issue from here', {}, { in: target.channel, target });
+
+  const previewChannel = target.channel.isThread() ? target.channel : lastThread(harness.client, target.channel);
+  const preview = await waitFor(() => previewChannel?.sent.find(m => m.content?.startsWith('Edit, revise or drop drafts')));
+  await waitFor(() => previewChannel.componentCollectors.length);
+  return { thread: previewChannel, preview };
+}
+
+async function press(thread, preview, customId, done) {
+  const click = await thread.click(harness.user, preview, customId);
+  await waitFor(() => click.deferred || click.replied);
+  await waitFor(() => thread.sent.find(m => m.content === done));
+}
+
+test('capturing inside an existing thread leaves the thread open', async () => {
+  const { client, channel, user } = harness;
+  const supportThread = new FakeChannel(client, { type: ChannelType.PublicThread, parentId: channel.id });
+  const report = await supportThread.say(fakeUser({ username: 'member' }), 'The export button does nothing on Safari');
+  await supportThread.say(user, 'Confirmed on Safari 17');
+
+  const { preview } = await captureFrom(report, draft('Export button does nothing on Safari'));
+  await press(supportThread, preview, 'confirm_issues', 'Issues successfully created:');
+
+  assert.equal(harness.github.state.issues.at(-1).title, 'Export button does nothing on Safari');
+  assert.equal(supportThread.archived, false);
+});
+
+test('cancelling a capture in an existing thread leaves the thread open', async () => {
+  const { client, channel } = harness;
+  const supportThread = new FakeChannel(client, { type: ChannelType.PublicThread, parentId: channel.id });
+  const report = await supportThread.say(fakeUser({ username: 'member' }), 'Dark mode resets after logging out');
+
+  const { preview } = await captureFrom(report, draft('Dark mode resets after logging out'));
+  await press(supportThread, preview, 'cancel_issues', '❌ Issue creation canceled');
+
+  assert.equal(supportThread.archived, false);
+});
+
+test('the thread the bot opens for a capture is archived once the issues are filed', async () => {
+  const { channel } = harness;
+  const report = await channel.say(fakeUser({ username: 'member' }), 'Notifications arrive twice');
+
+  const { thread, preview } = await captureFrom(report, draft('Notifications arrive twice'));
+  assert.equal(report.thread, thread);
+  await press(thread, preview, 'confirm_issues', 'Issues successfully created:');
+
+  assert.equal(thread.archived, true);
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, waitFor, lastThread } from './helpers/harness.js';
+import { draft } from './helpers/drafts.js';
+
+let harness;
+before(async () => { harness = await startHarness(); });
+after(() => harness.close());
+
+test('/create-issue files the drafts as soon as the reporter is done', async () => {
+  const { github, llm, client, channel, user } = harness;
+  llm.respond({ issues: [draft('Save button submits the form twice', { labels: ['bug', 'ui-bugs'] })] });
+
+  const interaction = await harness.command('create-issue');
+  const thread = lastThread(client, channel);
+  assert.match(interaction.replies[0].content, new RegExp(`Thread created: <#${thread.id}>`));
+
+  await thread.say(user, 'Tapping Save twice on mobile creates two records');
+  await thread.say(user, '!done');
+
+  const summary = await waitFor(() => thread.sent.find(m => m.content === 'Issues successfully created:'));
+  const [issue] = github.state.issues;
+  assert.equal(github.state.issues.length, 1);
+  assert.equal(issue.title, 'Save button submits the form twice');
+  // Labels the repository doesn't have are dropped before filing
+  assert.deepEqual(issue.labels.map(l => l.name), ['bug']);
+  assert.equal(summary.embeds[0].fields[0].value, `[View Issue #1](${issue.html_url})`);
+  assert.equal(github.state.projectItems.length, 1);
+  assert.equal(thread.archived, true);
+
+  // The reporter's words reach the model
+  assert.match(JSON.stringify(llm.requests.at(-1)), /creates two records/);
+});
+
+test('/create-issue with preview waits for confirmation before filing', async () => {
+  const { github, llm, client, channel, user } = harness;
+  const filedBefore = github.state.issues.length;
+  llm.respond({ issues: [draft('Export button ignores the date filter'), draft('Export file name has no extension', { labels: ['enhancement'] })] });
+
+  await harness.command('create-issue', { preview: true });
+  const thread = lastThread(client, channel);
+
+  await thread.say(user, 'Exports ignore my date filter and the file has no .csv extension');
+  await thread.say(user, '!done');
+
+  const preview = await waitFor(() => thread.sent.find(m => m.content?.startsWith('Edit, revise or drop drafts')));
+  // The buttons start listening once the session has been saved
+  await waitFor(() => thread.componentCollectors.length);
+  assert.equal(github.state.issues.length, filedBefore, 'nothing is filed before confirming');
+
+  const buttons = preview.components[0].components.map(button => button.custom_id);
+  assert.ok(buttons.includes('confirm_issues'));
+
+  // Other people can't confirm someone else's report
+  await thread.click({ id: 'someone-else', username: 'someone-else', tag: 'someone-else#0' }, preview, 'confirm_issues');
+  assert.equal(github.state.issues.length, filedBefore);
+
+  const click = await thread.click(user, preview, 'confirm_issues');
+  await waitFor(() => click.deferred);
+
+  await waitFor(() => thread.sent.find(m => m.content === 'Issues successfully created:'));
+  const filed = github.state.issues.slice(filedBefore);
+  assert.deepEqual(filed.map(issue => issue.title), ['Export button ignores the date filter', 'Export file name has no extension']);
+  assert.deepEqual(filed.map(issue => issue.labels.map(l => l.name)), [['bug'], ['enhancement']]);
+
+  // The preview buttons are cleared once the session is over
+  await waitFor(() => preview.components.length === 0);
+});
+
+test('issues that fail to file can be retried without filing the others again', async () => {
+  const { github, llm, client, channel, user } = harness;
+  const filedBefore = github.state.issues.length;
+  llm.respond({
+    issues: [
+      draft('Search results skip the first page'),
+      draft('Search box loses focus after typing'),
+      draft('Search suggestions show deleted items')
+    ]
+  });
+  github.failIssue('Search box loses focus after typing');
+  // GitHub files this one but the response never arrives
+  github.failIssue('Search suggestions show deleted items', { status: 502, created: true });
+
+  await harness.command('create-issue');
+  const thread = lastThread(client, channel);
+  await thread.say(user, 'Several search problems');
+  await thread.say(user, '!done');
+
+  const summary = await waitFor(() => thread.sent.find(m => m.content?.startsWith('⚠️ Some reports couldn\'t be filed')));
+  assert.equal(summary.embeds[0].title, '⚠️ Created 1 of 3 Issues');
+  assert.deepEqual(summary.embeds[0].fields.filter(f => f.name.startsWith('❌')).map(f => f.name), [
+    '❌ Search box loses focus after typing',
+    '❌ Search suggestions show deleted items'
+  ]);
+  assert.equal(thread.archived, false);
+
+  await waitFor(() => summary.collectors.length);
+  await thread.click(user, summary, 'retry_failed');
+  await waitFor(() => thread.sent.find(m => m.content === 'Issues successfully created:'));
+
+  const filed = github.state.issues.slice(filedBefore).map(issue => issue.title);
+  assert.deepEqual(filed.sort(), [
+    'Search box loses focus after typing',
+    'Search results skip the first page',
+    'Search suggestions show deleted items'
+  ]);
+  assert.equal(thread.archived, true);
+});
+
+test('text attachments that would overflow the issue body are linked instead of embedded', async () => {
+  const { github } = harness;
+  const { createIssues } = await import('../src/utils/github-utils.js');
+  const log = n => ({
+    name: `worker-${n}.log`,
+    url: `https://example.com/worker-${n}.log`,
+    kind: 'text',
+    content: `line from worker ${n}\n`.repeat(500).slice(0, 10_000),
+    truncated: true
+  });
+
+  const [result] = await createIssues(
+    [{ ...draft('Workers crash under load'), draftId: 1 }],
+    { images: [], files: [1, 2, 3, 4].map(log) },
+    { owner: 'acme', repo: 'widgets', projectNumber: 1 }
+  );
+
+  const { body } = github.state.issues.find(issue => issue.number === result.issue.number);
+  assert.ok(body.length < 65_536);
+  for (const n of [1, 2, 3]) assert.match(body, new RegExp(`📄 worker-${n}\\.log \\(excerpt\\)</summary>`));
+  assert.match(body, /📄 \[worker-4\.log\]\(https:\/\/example\.com\/worker-4\.log\) \(too long to include here\)/);
+  assert.doesNotMatch(body, /line from worker 4/);
+});
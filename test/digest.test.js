@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+let harness;
+let lastScheduledRun;
+before(async () => {
+  harness = await startHarness();
+  const { github, user } = harness;
+  github.addProjectItem({ title: 'Flaky login', status: 'In Progress', assignees: ['octocat'], movedAt: ago(30 * DAY) });
+  github.addProjectItem({ title: 'Slow search', status: 'Todo', assignees: ['hubot'], movedAt: ago(20 * DAY) });
+  github.addProjectItem({ title: 'Export to CSV', status: 'Backlog', movedAt: ago(DAY / 24) });
+  github.addProjectItem({ title: 'Typo on login page', status: 'Todo', movedAt: ago(2 * DAY) });
+  github.addProjectItem({ title: 'Crash on launch', status: 'Done', movedAt: ago(DAY / 12), closedAt: ago(DAY / 12) });
+  github.addProjectItem({ title: 'Old crash', status: 'Done', movedAt: ago(40 * DAY), closedAt: ago(40 * DAY) });
+
+  const { githubLinkStore } = await import('../src/utils/github-auth.js');
+  await githubLinkStore.set(user.id, { login: 'octocat', authentication: {}, linkedAt: Date.now() });
+  ({ lastScheduledRun } = await import('../src/flows/board-digest.js'));
+});
+after(() => harness.close());
+
+const field = (message, prefix) => message.embeds[0].fields.find(f => f.name.startsWith(prefix));
+
+test('/digest summarises the board and pings assignees of stuck items', async () => {
+  const { user } = harness;
+  const { replyMessage: digest } = await harness.command('digest');
+
+  assert.equal(field(digest, '📋').value, 'Todo: **2**\nBacklog: **1**\nIn Progress: **1**\nDone: **2**');
+  assert.match(field(digest, '🆕 New in Backlog (1)').value, /Export to CSV/);
+  assert.match(field(digest, '✅ Closed (1)').value, /Crash on launch/);
+
+  const stuck = field(digest, '⏳ Stuck for 14+ days (2)').value.split('\n');
+  assert.match(stuck[0], new RegExp(`Flaky login.*30d in In Progress · <@${user.id}>`));
+  assert.match(stuck[1], /Slow search.*20d in Todo · `hubot`/);
+
+  assert.equal(digest.content, `⏳ <@${user.id}>: some of your issues haven't moved in a while.`);
+  assert.deepEqual(digest.allowedMentions, { users: [user.id] });
+});
+
+test('/digest only reports what changed since the previous digest', async () => {
+  const { replyMessage: digest } = await harness.command('digest');
+
+  assert.equal(field(digest, '🆕').name, '🆕 New in Backlog (0)');
+  assert.equal(field(digest, '✅').value, 'None');
+  assert.equal(field(digest, '⏳').name, '⏳ Stuck for 14+ days (2)');
+});
+
+test('schedules fall due at the last matching day and time', () => {
+  // Wednesday 2024-05-15, 10:30 local time
+  const now = new Date(2024, 4, 15, 10, 30);
+
+  assert.deepEqual(lastScheduledRun({ frequency: 'daily', hour: 9, minute: 0 }, now), new Date(2024, 4, 15, 9, 0));
+  assert.deepEqual(lastScheduledRun({ frequency: 'daily', hour: 11, minute: 0 }, now), new Date(2024, 4, 14, 11, 0));
+  assert.deepEqual(lastScheduledRun({ frequency: 'weekly', weekday: 1, hour: 9, minute: 0 }, now), new Date(2024, 4, 13, 9, 0));
+  assert.deepEqual(lastScheduledRun({ frequency: 'weekly', weekday: 3, hour: 11, minute: 0 }, now), new Date(2024, 4, 8, 11, 0));
+});
@@ -0,0 +1,326 @@
+import { EventEmitter } from 'node:events';
+import { Collection, ChannelType } from 'discord.js';
+
+// In-process stand-ins for the parts of discord.js the flows touch. Nothing here
+// talks to Discord: tests drive them with channel.say() and channel.click().
+
+let nextId = 1000;
+const snowflake = () => String(nextId++);
+
+// Builders are stored as the JSON Discord would receive, so tests can assert on it
+const toJSON = value => value?.toJSON?.() ?? value;
+const normalizePayload = payload => {
+  if (typeof payload === 'string') return { content: payload };
+  return {
+    ...payload,
+    ...(payload.embeds && { embeds: payload.embeds.map(toJSON) }),
+    ...(payload.components && { components: payload.components.map(toJSON) })
+  };
+};
+
+export function fakeUser({ id = snowflake(), username = `user${id}`, bot = false } = {}) {
+  return { id, username, tag: `${username}#0`, bot, toString: () => `<@${id}>`, send: async () => {} };
+}
+
+// Collectors never time out on their own; tests end them through the flow or with stop()
+export class FakeCollector extends EventEmitter {
+  constructor({ filter } = {}) {
+    super();
+    this.filter = filter;
+    this.collected = new Collection();
+    this.ended = false;
+  }
+
+  async handle(item) {
+    if (this.ended || (this.filter && !await this.filter(item))) return false;
+    this.collected.set(item.id, item);
+    this.emit('collect', item);
+    return true;
+  }
+
+  stop(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    this.emit('end', this.collected, reason);
+  }
+
+  resetTimer() {}
+}
+
+export class FakeMessage {
+  constructor(channel, { author, ...payload }) {
+    this.id = snowflake();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.author = author;
+    this.content = '';
+    this.embeds = [];
+    this.components = [];
+    this.attachments = new Collection();
+    this.createdAt = new Date();
+    this.createdTimestamp = this.createdAt.getTime();
+    this.url = `https://discord.com/channels/${channel.guildId ?? '@me'}/${channel.id}/${this.id}`;
+    this.collectors = [];
+    this.reactions = { cache: new Collection() };
+    Object.assign(this, normalizePayload(payload));
+  }
+
+  async edit(payload) {
+    Object.assign(this, normalizePayload(payload));
+    return this;
+  }
+
+  async react(emoji) {
+    this.reactions.cache.set(emoji, { emoji: { id: null, name: emoji }, me: true });
+  }
+
+  async reply(payload) {
+    return this.channel.send(payload);
+  }
+
+  async startThread(options) {
+    this.thread = await this.channel.threads.create(options);
+    this.thread.starterMessage = this;
+    this.hasThread = true;
+    return this.thread;
+  }
+
+  createMessageComponentCollector(options) {
+    const collector = new FakeCollector(options);
+    this.collectors.push(collector);
+    return collector;
+  }
+}
+
+export class FakeChannel {
+  constructor(client, { id = snowflake(), guildId = 'guild-1', type = ChannelType.GuildText, parentId = null } = {}) {
+    this.client = client;
+    this.id = id;
+    this.guildId = guildId;
+    this.type = type;
+    this.parentId = parentId;
+    this.archived = false;
+    this.messageList = [];
+    this.messageCollectors = [];
+    this.componentCollectors = [];
+    client.channelMap.set(id, this);
+
+    this.messages = {
+      // An ID fetches one message; { after, limit } fetches the ones posted after it
+      fetch: async id => {
+        if (typeof id === 'object') {
+          const start = this.messageList.findIndex(m => m.id === id.after) + 1;
+          return new Collection(this.messageList.slice(start, start + id.limit).map(m => [m.id, m]));
+        }
+        const message = this.messageList.find(m => m.id === id);
+        if (!message) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+        return message;
+      },
+      edit: async (id, payload) => (await this.messages.fetch(id)).edit(payload)
+    };
+
+    this.threads = {
+      create: async ({ name }) => {
+        const thread = new FakeChannel(client, { guildId, type: ChannelType.PublicThread, parentId: this.id });
+        thread.name = name;
+        return thread;
+      }
+    };
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+
+  isThread() {
+    return this.type === ChannelType.PublicThread || this.type === ChannelType.PrivateThread;
+  }
+
+  isTextBased() {
+    return true;
+  }
+
+  async setArchived(archived) {
+    this.archived = archived;
+  }
+
+  // Threads started from a message; other channels have none
+  async fetchStarterMessage() {
+    if (!this.starterMessage) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+    return this.starterMessage;
+  }
+
+  // What the bot sent, oldest first
+  get sent() {
+    return this.messageList.filter(m => m.author.bot);
+  }
+
+  async send(payload) {
+    const message = new FakeMessage(this, { author: this.client.user, ...normalizePayload(payload) });
+    this.messageList.push(message);
+    return message;
+  }
+
+  createMessageCollector(options) {
+    const collector = new FakeCollector(options);
+    this.messageCollectors.push(collector);
+    return collector;
+  }
+
+  createMessageComponentCollector(options) {
+    const collector = new FakeCollector(options);
+    this.componentCollectors.push(collector);
+    return collector;
+  }
+
+  // A user posts a message; returns it once every message collector has seen it
+  async say(user, content) {
+    const message = new FakeMessage(this, { author: user, content });
+    this.messageList.push(message);
+    for (const collector of this.messageCollectors) await collector.handle(message);
+    return message;
+  }
+
+  // A user presses a button on one of the bot's messages; returns the component interaction
+  // modalSubmit answers a modal the click opens: { fields: { name: value } }. Without it the
+  // modal counts as dismissed, and its waiter stays open as it does in discord.js.
+  async click(user, message, customId, { values, modalSubmit } = {}) {
+    const interaction = new FakeComponentInteraction({ client: this.client, user, message, customId, values });
+    for (const collector of [...this.componentCollectors, ...message.collectors]) await collector.handle(interaction);
+
+    if (modalSubmit) {
+      // Handlers run their checks before opening the modal, then start waiting right after
+      for (let tries = 0; !interaction.modals.length && tries < 500; tries++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await new Promise(resolve => setImmediate(resolve));
+      this.client.submitModal(new FakeModalSubmit(interaction, modalSubmit));
+    }
+    return interaction;
+  }
+}
+
+class FakeRepliable {
+  constructor({ client, user, channel }) {
+    this.id = snowflake();
+    this.client = client;
+    this.user = user;
+    this.channel = channel;
+    this.channelId = channel?.id;
+    this.guildId = channel?.type === ChannelType.DM ? null : channel?.guildId ?? null;
+    this.deferred = false;
+    this.replied = false;
+    this.replies = [];
+  }
+
+  async reply(payload) {
+    this.replied = true;
+    this.replies.push(normalizePayload(payload));
+  }
+
+  async followUp(payload) {
+    this.replies.push(normalizePayload(payload));
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+}
+
+export class FakeCommandInteraction extends FakeRepliable {
+  constructor({ client, user, channel, commandName, options = {}, member = null, targetId = null }) {
+    super({ client, user, channel });
+    this.commandName = commandName;
+    this.member = member;
+    // The message a context menu command was used on
+    this.targetId = targetId;
+    this.createdTimestamp = Date.now();
+
+    const option = name => options[name] ?? null;
+    this.options = {
+      getBoolean: option,
+      getString: option,
+      getInteger: option,
+      getSubcommand: () => options.subcommand ?? null
+    };
+  }
+
+  isCommand() {
+    return true;
+  }
+
+  // The reply is a message in the channel so its buttons can be clicked
+  async editReply(payload) {
+    if (!this.replyMessage) {
+      this.replyMessage = new FakeMessage(this.channel, { author: this.client.user });
+      this.channel.messageList.push(this.replyMessage);
+    }
+    return this.replyMessage.edit(payload);
+  }
+}
+
+export class FakeComponentInteraction extends FakeRepliable {
+  constructor({ client, user, message, customId, values = [] }) {
+    super({ client, user, channel: message.channel });
+    this.message = message;
+    this.customId = customId;
+    this.values = values;
+    this.modals = [];
+  }
+
+  async deferUpdate() {
+    this.deferred = true;
+  }
+
+  async update(payload) {
+    this.replied = true;
+    await this.message.edit(payload);
+  }
+
+  async showModal(modal) {
+    this.modals.push(toJSON(modal));
+  }
+
+  // Like discord.js, any later submission that passes the filter resolves this, not only the
+  // modal this click opened; tests submit modals by passing modalSubmit to FakeChannel.click
+  awaitModalSubmit({ filter }) {
+    return new Promise(resolve => this.client.modalWaiters.push({ filter, resolve }));
+  }
+}
+
+export class FakeModalSubmit {
+  constructor(source, { fields = {} }) {
+    this.customId = source.modals.at(-1)?.custom_id;
+    this.user = source.user;
+    this.source = source;
+    this.fields = { getTextInputValue: name => fields[name] ?? '' };
+  }
+
+  async deferUpdate() {
+    this.source.deferred = true;
+  }
+
+  async update(payload) {
+    await this.source.update(payload);
+  }
+}
+
+export class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.user = fakeUser({ id: 'bot', username: 'issue-bot', bot: true });
+    this.channelMap = new Map();
+    this.modalWaiters = [];
+    this.channels = {
+      fetch: async id => this.channelMap.get(id) ?? null
+    };
+  }
+
+  // Every awaitModalSubmit whose filter passes receives the submission
+  submitModal(submission) {
+    const matching = this.modalWaiters.filter(waiter => waiter.filter(submission));
+    this.modalWaiters = this.modalWaiters.filter(waiter => !matching.includes(waiter));
+    for (const waiter of matching) waiter.resolve(submission);
+  }
+}
@@ -0,0 +1,194 @@
+import http from 'node:http';
+
+// A local GitHub REST + GraphQL stand-in holding one repository and its project board.
+// Point GITHUB_API_URL at `url` before the bot's GitHub client is created.
+
+const STATUS_FIELD = {
+  id: 'PVTSSF_status',
+  name: 'Status',
+  options: [
+    { id: 'opt_todo', name: 'Todo' },
+    { id: 'opt_backlog', name: 'Backlog' },
+    { id: 'opt_progress', name: 'In Progress' },
+    { id: 'opt_done', name: 'Done' }
+  ]
+};
+
+export async function startGitHubServer({ owner = 'acme', repo = 'widgets', labels = [] } = {}) {
+  const state = {
+    issues: [],
+    comments: [],
+    labels: labels.map(name => ({ name, description: null })),
+    milestones: [],
+    assignees: [],
+    projectItems: [],
+    issueFailures: [],
+    statusField: STATUS_FIELD,
+    requests: []
+  };
+
+  let url;
+  const repoPath = `/repos/${owner}/${repo}`;
+  const issueUrl = number => `https://github.com/${owner}/${repo}/issues/${number}`;
+
+  const routes = [
+    ['GET', /^\/repos\/[^/]+\/[^/]+\/contents\//, () => [404, { message: 'Not Found' }]],
+    ['GET', /^\/repos\/[^/]+\/[^/]+\/labels$/, () => [200, state.labels]],
+    ['GET', /^\/repos\/[^/]+\/[^/]+\/milestones$/, () => [200, state.milestones]],
+    ['GET', /^\/repos\/[^/]+\/[^/]+\/assignees$/, () => [200, state.assignees.map(login => ({ login }))]],
+    ['GET', /^\/repos\/[^/]+\/[^/]+\/issues$/, (_, query) => [
+      200,
+      state.issues.filter(issue => query.get('state') === 'all' || issue.state === (query.get('state') ?? 'open'))
+    ]],
+    ['POST', /^\/repos\/[^/]+\/[^/]+\/issues$/, body => {
+      const failure = state.issueFailures.find(f => f.title === body.title);
+      if (failure) state.issueFailures.splice(state.issueFailures.indexOf(failure), 1);
+      if (failure && !failure.created) return [failure.status, { message: 'Failure injected by the test' }];
+
+      const number = state.issues.length + 1;
+      const issue = {
+        number,
+        node_id: `I_${number}`,
+        title: body.title,
+        body: body.body,
+        labels: (body.labels ?? []).map(name => ({ name })),
+        assignees: (body.assignees ?? []).map(login => ({ login })),
+        milestone: body.milestone ?? null,
+        state: 'open',
+        html_url: issueUrl(number),
+        repository_url: `${url}${repoPath}`,
+        created_at: new Date().toISOString(),
+        closed_at: null
+      };
+      state.issues.push(issue);
+      // The issue exists, but the bot never hears about it
+      if (failure) return [failure.status, { message: 'Failure injected by the test' }];
+      return [201, issue];
+    }],
+    ['PATCH', /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)$/, (body, _, [, number]) => {
+      const issue = state.issues.find(i => i.number === Number(number));
+      if (!issue) return [404, { message: 'Not Found' }];
+      Object.assign(issue, body);
+      return [200, issue];
+    }],
+    ['POST', /^\/repos\/[^/]+\/[^/]+\/issues\/(\d+)\/comments$/, (body, _, [, number]) => {
+      const comment = {
+        id: state.comments.length + 1,
+        issue_number: Number(number),
+        body: body.body,
+        html_url: `${issueUrl(number)}#issuecomment-${state.comments.length + 1}`
+      };
+      state.comments.push(comment);
+      return [201, comment];
+    }],
+    ['POST', /^\/graphql$/, body => [200, graphql(body)]]
+  ];
+
+  // Queries are told apart by the fields they select, the way the bot writes them
+  function graphql({ query, variables = {} }) {
+    if (query.includes('addProjectV2ItemById')) {
+      const issue = state.issues.find(i => i.node_id === variables.contentId);
+      const item = {
+        id: `PVTI_${state.projectItems.length + 1}`,
+        createdAt: new Date().toISOString(),
+        fieldValueByName: null,
+        content: issueContent(issue)
+      };
+      state.projectItems.push(item);
+      return { data: { addProjectV2ItemById: { item: { id: item.id } } } };
+    }
+
+    if (query.includes('updateProjectV2ItemFieldValue')) {
+      const item = state.projectItems.find(i => i.id === variables.itemId);
+      const option = state.statusField.options.find(o => o.id === variables.optionId);
+      item.fieldValueByName = { name: option.name, optionId: option.id, updatedAt: new Date().toISOString() };
+      return { data: { updateProjectV2ItemFieldValue: { projectV2Item: { id: item.id } } } };
+    }
+
+    if (query.includes('projectV2(number:')) {
+      return { data: { organization: { projectV2: { id: 'PVT_project' } } } };
+    }
+
+    if (query.includes('ProjectV2SingleSelectField')) {
+      return { data: { node: { fields: { nodes: [{}, state.statusField] } } } };
+    }
+
+    if (query.includes('items(first: 100')) {
+      const start = variables.cursor ? Number(variables.cursor) : 0;
+      const nodes = state.projectItems.slice(start, start + 100);
+      const hasNextPage = start + 100 < state.projectItems.length;
+      return { data: { node: { items: { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? String(start + 100) : null } } } } };
+    }
+
+    return { errors: [{ message: `The GitHub stand-in doesn't handle this query:\n${query}` }] };
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : {};
+      state.requests.push({ method: req.method, path: pathname, body });
+
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+      const [status, payload] = route
+        ? route[2](body, searchParams, pathname.match(route[1]))
+        : [404, { message: `No route for ${req.method} ${pathname}` }];
+
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    state,
+    statusOption: name => state.statusField.options.find(o => o.name === name),
+    // Fail the next create for this title; with created, GitHub files it anyway and only the response is lost
+    failIssue(title, { status = 422, created = false } = {}) {
+      state.issueFailures.push({ title, status, created });
+    },
+    // Put an issue straight on the board, as if someone had triaged it on GitHub; movedAt is when it entered its column
+    addProjectItem({
+      title, status, labels = [], assignees = [], milestone = null, movedAt = new Date().toISOString(), closedAt = null
+    }) {
+      const number = 100 + state.projectItems.length;
+      const option = state.statusField.options.find(o => o.name === status);
+      state.projectItems.push({
+        id: `PVTI_${number}`,
+        createdAt: movedAt,
+        fieldValueByName: option ? { name: option.name, optionId: option.id, updatedAt: movedAt } : null,
+        content: {
+          number,
+          title,
+          url: issueUrl(number),
+          body: '',
+          state: closedAt ? 'CLOSED' : 'OPEN',
+          closedAt,
+          assignees: { nodes: assignees.map(login => ({ login })) },
+          labels: { nodes: labels.map(name => ({ name })) },
+          milestone: milestone && { title: milestone }
+        }
+      });
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function issueContent(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    url: issue.html_url,
+    body: issue.body,
+    state: issue.state.toUpperCase(),
+    closedAt: issue.closed_at,
+    assignees: { nodes: issue.assignees },
+    labels: { nodes: issue.labels },
+    milestone: null
+  };
+}
@@ -0,0 +1,29 @@
+import { registerLLMProvider } from '../../src/utils/llm-providers.js';
+
+// An LLM provider that plays back queued responses in order. Objects are sent as JSON,
+// Errors are thrown. Every request's messages are kept for assertions.
+export function registerScriptedProvider(name = 'scripted') {
+  const responses = [];
+  const requests = [];
+
+  registerLLMProvider(name, () => ({
+    async *streamChat({ messages, onUsage }) {
+      requests.push(messages);
+      if (!responses.length) throw new Error('The scripted LLM has no responses left');
+
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      yield typeof next === 'string' ? next : JSON.stringify(next);
+
+      onUsage?.({ promptTokens: 100, completionTokens: 50 });
+    }
+  }));
+
+  return {
+    requests,
+    respond: (...items) => responses.push(...items),
+    get pending() {
+      return responses.length;
+    }
+  };
+}
@@ -0,0 +1,12 @@
+// A draft as the LLM returns it, ready to pass to llm.respond({ issues: [...] }); fields override the defaults
+export const draft = (title, fields = {}) => ({
+  title,
+  body: `## Description\n\n${title}. Steps to reproduce: open the settings page on a phone and tap Save twice.`,
+  labels: ['bug'],
+  images: [],
+  files: [],
+  template: null,
+  milestone: null,
+  assignees: [],
+  ...fields
+});
@@ -0,0 +1,80 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { FakeClient, FakeChannel, FakeCommandInteraction, fakeUser } from '../fakes/discord.js';
+import { startGitHubServer } from '../fakes/github-server.js';
+
+// Boots the bot's command handling against the fakes. The bot reads its settings from the
+// environment when its modules load, so everything under src/ is imported only after the
+// environment points at the mock GitHub server, the scripted LLM and a scratch data directory.
+export async function startHarness({ labels = ['bug', 'enhancement'] } = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'issue-bot-test-'));
+  const github = await startGitHubServer({ labels });
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    GITHUB_PAT: 'test-token',
+    GITHUB_API_URL: github.url,
+    GITHUB_REPO_OWNER: 'acme',
+    GITHUB_REPO_NAME: 'widgets',
+    GITHUB_PROJECT_NUMBER: '1',
+    // The mock server has no rate limits to respect
+    GITHUB_THROTTLE: 'false',
+    LLM_PROVIDER: 'scripted',
+    CONFIG_STORE_PATH: path.join(dataDir, 'config.json'),
+    SESSION_STORE_PATH: path.join(dataDir, 'sessions.json'),
+    USAGE_STORE_PATH: path.join(dataDir, 'usage.json'),
+    ISSUE_THREAD_STORE_PATH: path.join(dataDir, 'issue-threads.json'),
+    GITHUB_LINK_STORE_PATH: path.join(dataDir, 'github-links.json'),
+    DIGEST_STORE_PATH: path.join(dataDir, 'digests.json')
+  });
+
+  const { registerScriptedProvider } = await import('../fakes/llm.js');
+  const { createInteractionHandler } = await import('../../src/commands/index.js');
+
+  const llm = registerScriptedProvider();
+  const client = new FakeClient();
+  const handleInteraction = createInteractionHandler({ client });
+  const channel = new FakeChannel(client);
+  const user = fakeUser({ username: 'reporter' });
+
+  return {
+    github,
+    llm,
+    client,
+    channel,
+    user,
+
+    // Runs a slash or context menu command through the same handler the bot registers; member carries
+    // the caller's roles and target is the message a context menu command was used on
+    async command(commandName, options = {}, { from = user, in: inChannel = channel, member = null, target = null } = {}) {
+      const interaction = new FakeCommandInteraction({
+        client, user: from, channel: inChannel, commandName, options, member, targetId: target?.id ?? null
+      });
+      await handleInteraction(interaction);
+      return interaction;
+    },
+
+    async close() {
+      await github.close();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Flows keep working after the handler returns, so tests wait for what they expect to see
+export async function waitFor(check, { timeout = 5_000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${check.toString()}`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+// The newest thread the bot opened under a channel
+export function lastThread(client, parent) {
+  return [...client.channelMap.values()].filter(channel => channel.parentId === parent.id).at(-1);
+}
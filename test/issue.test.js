@@ -0,0 +1,19 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageFlags } from 'discord.js';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+before(async () => { harness = await startHarness(); });
+after(() => harness.close());
+
+test('/issue refuses repositories that aren\'t configured', async () => {
+  const { github } = harness;
+  const requests = github.state.requests.length;
+
+  const interaction = await harness.command('issue', { number: 1, repo: 'someone-else/private-repo' });
+
+  assert.match(interaction.replies[0].content, /`someone-else\/private-repo` isn't configured here\. Use one of: `acme\/widgets`/);
+  assert.equal(interaction.replies[0].flags, MessageFlags.Ephemeral);
+  assert.equal(github.state.requests.length, requests, 'GitHub is never asked about it');
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+before(async () => {
+  harness = await startHarness();
+  const { github } = harness;
+  github.addProjectItem({ title: 'Crash on launch', status: 'In Progress', assignees: ['octocat'] });
+  github.addProjectItem({ title: 'Dark mode', status: 'Backlog', labels: ['enhancement'] });
+  github.addProjectItem({ title: 'Old bug', status: 'Done' });
+  github.addProjectItem({ title: 'Typo on login page', status: 'Todo', labels: ['bug'] });
+});
+after(() => harness.close());
+
+const titles = interaction => interaction.replyMessage.embeds[0].fields.map(field => field.name).join('\n');
+
+test('/list-issues shows open board items with the backlog first', async () => {
+  const interaction = await harness.command('list-issues');
+
+  assert.equal(interaction.deferred, true);
+  assert.match(interaction.replyMessage.content, /\(3 total\)/);
+  const description = titles(interaction);
+  assert.ok(description.indexOf('Dark mode') < description.indexOf('Crash on launch'));
+  assert.ok(description.indexOf('Crash on launch') < description.indexOf('Typo on login page'));
+  assert.doesNotMatch(description, /Old bug/);
+});
+
+test('/list-issues applies filters', async () => {
+  const interaction = await harness.command('list-issues', { assignee: '@octocat' });
+
+  assert.match(interaction.replyMessage.content, /\(1 total\)\nFilters: assignee: `@octocat`/);
+  assert.match(titles(interaction), /Crash on launch/);
+});
+
+test('/list-issues reports GitHub failures to the user', async () => {
+  const { github } = harness;
+  const statusField = github.state.statusField;
+  github.state.statusField = undefined;
+
+  try {
+    const interaction = await harness.command('list-issues');
+    assert.match(interaction.replies.at(-1).content, /^❌ Error:/);
+  } finally {
+    github.state.statusField = statusField;
+  }
+});
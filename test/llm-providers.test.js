@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A chat completions endpoint that streams back the queued replies and keeps every request
+const requests = [];
+const replies = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    requests.push({ path: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const chunk = { id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 0, model: 'gpt-4o' };
+    res.write(`data: ${JSON.stringify({ ...chunk, choices: [{ index: 0, delta: { content: replies.shift() } }] })}\n\n`);
+    res.write(`data: ${JSON.stringify({ ...chunk, choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+let openai;
+let CONFIG_KEYS;
+let serverUrl;
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.LOG_LEVEL ||= 'error';
+  process.env.LLM_GUILD_OVERRIDES = JSON.stringify({
+    'guild-1': { provider: 'openai', apiKey: 'test-key', baseURL: `${serverUrl}/v1` }
+  });
+  openai = await import('../src/utils/openai-utils.js');
+  ({ CONFIG_KEYS } = await import('../src/utils/config-store.js'));
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+const item = {
+  createdAt: new Date().toISOString(),
+  fieldValueByName: { name: 'Backlog', updatedAt: new Date().toISOString() },
+  content: { number: 1, title: 'Search is slow', assignees: { nodes: [] }, labels: { nodes: [{ name: 'bug' }] } }
+};
+
+test('board summaries ask the OpenAI provider for plain text', async () => {
+  replies.push('One bug is waiting in Backlog.');
+
+  const summary = await openai.summarizeBoardAnswer('What is in Backlog?', [item], { guildId: 'guild-1' });
+
+  assert.equal(summary, 'One bug is waiting in Backlog.');
+  assert.equal('response_format' in requests.at(-1).body, false);
+});
+
+test('board queries still ask the OpenAI provider for schema-shaped JSON', async () => {
+  replies.push(JSON.stringify({
+    statuses: ['Backlog'], assignees: [], unassigned: false, labels: [], milestone: null,
+    keywords: [], state: 'open', minDaysInStatus: null, explanation: 'Open issues in Backlog'
+  }));
+
+  const query = await openai.translateBoardQuery('What is in Backlog?', {
+    statuses: ['Backlog'], labels: ['bug'], assignees: [], milestones: []
+  }, { guildId: 'guild-1' });
+
+  assert.deepEqual(query.statuses, ['Backlog']);
+  assert.equal(requests.at(-1).body.response_format.type, 'json_schema');
+});
+
+test('/config LLM settings pick the guild\'s own server without sending it the bot\'s key', async () => {
+  replies.push('Nothing stands out.');
+
+  await openai.summarizeBoardAnswer('What is in Backlog?', [item], {
+    guildId: 'guild-1',
+    llmProvider: 'openai-compatible',
+    llmBaseUrl: `${serverUrl}/guild-llm/v1`,
+    llmModel: 'llama3.1',
+    llmTemperature: 0.7
+  });
+
+  const { path, authorization, body } = requests.at(-1);
+  assert.equal(path, '/guild-llm/v1/chat/completions');
+  assert.equal(authorization, 'Bearer not-needed');
+  assert.equal(body.model, 'llama3.1');
+  assert.equal(body.temperature, 0.7);
+});
+
+test('a /config base URL doesn\'t move the openai provider off its endpoint', async () => {
+  replies.push('Nothing stands out.');
+
+  await openai.summarizeBoardAnswer('What is in Backlog?', [item], { guildId: 'guild-1', llmBaseUrl: `${serverUrl}/guild-llm/v1` });
+
+  assert.equal(requests.at(-1).path, '/v1/chat/completions');
+  assert.equal(requests.at(-1).authorization, 'Bearer test-key');
+});
+
+test('/config validates LLM settings when they are saved', async () => {
+  const parse = (key, value, config = {}) => CONFIG_KEYS[key].parse(value, { config });
+
+  assert.equal(await parse('llmProvider', 'OpenAI'), 'openai');
+  await assert.rejects(parse('llmProvider', 'anthropic'), /Unknown provider `anthropic`; use openai, openai-compatible, mock/);
+  await assert.rejects(parse('llmProvider', 'openai-compatible'), /Set `llmBaseUrl`/);
+  assert.equal(await parse('llmProvider', 'openai-compatible', { llmBaseUrl: 'http://localhost:11434/v1' }), 'openai-compatible');
+
+  assert.equal(await parse('llmTemperature', '0.4'), 0.4);
+  await assert.rejects(parse('llmTemperature', '3'), /from 0 to 2/);
+  await assert.rejects(parse('llmTemperature', 'warm'), /from 0 to 2/);
+
+  assert.equal(await parse('llmBaseUrl', 'http://localhost:11434/v1/'), 'http://localhost:11434/v1');
+  await assert.rejects(parse('llmBaseUrl', 'localhost:11434'), /must start with http/);
+  await assert.rejects(parse('llmBaseUrl', 'not a url'), /is not a URL/);
+});
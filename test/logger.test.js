@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger, fileFormat } from '../src/utils/logger.js';
+import { withCorrelation } from '../src/utils/correlation.js';
+
+// Runs an entry through the logger's formats as the rotating file transport would write it
+const fileLine = entry => {
+  const info = fileFormat.transform(logger.format.transform({ level: 'info', ...entry }));
+  return JSON.parse(info[Symbol.for('message')]);
+};
+
+test('file logs keep the metadata passed to the log call', () => {
+  const line = fileLine({ message: 'Message collection ended', assets: { text: ['Save fails'], images: [] } });
+
+  assert.equal(line.message, 'Message collection ended');
+  assert.deepEqual(line.assets, { text: ['Save fails'], images: [] });
+  assert.match(line.timestamp, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+});
+
+test('file logs carry the correlation ID and readable errors', () => {
+  const error = Object.assign(new Error('Bad credentials'), { status: 401 });
+  const line = withCorrelation({ correlationId: 'abc123' }, () => fileLine({
+    message: 'GitHub request failed',
+    error,
+    output: 'x'.repeat(5000)
+  }));
+
+  assert.equal(line.correlationId, 'abc123');
+  assert.deepEqual({ ...line.error, stack: undefined }, { name: 'Error', message: 'Bad credentials', status: 401, stack: undefined });
+  assert.match(line.output, /… \(5000 chars\)$/);
+});
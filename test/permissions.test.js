@@ -0,0 +1,90 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChannelType } from 'discord.js';
+import { FakeChannel } from './fakes/discord.js';
+import { startHarness } from './helpers/harness.js';
+
+let harness;
+let configStore;
+let usageStore;
+before(async () => {
+  harness = await startHarness();
+  ({ configStore } = await import('../src/utils/config-store.js'));
+  ({ usageStore } = await import('../src/utils/usage-store.js'));
+});
+afterEach(async () => {
+  const { channel } = harness;
+  for (const key of ['allowedRoles', 'commandRules', 'quotas']) await configStore.unset(channel.guildId, null, key);
+});
+after(() => harness.close());
+
+const withRoles = (...roleIds) => ({ roles: { cache: new Map(roleIds.map(id => [id, { id }])) } });
+const refusal = interaction => interaction.replies[0]?.content;
+
+test('members without an allowed role are refused before the command runs', async () => {
+  const { github, channel } = harness;
+  await configStore.set(channel.guildId, null, 'allowedRoles', ['role-triage']);
+  const requests = github.state.requests.length;
+
+  const refused = await harness.command('list-issues', {}, { member: withRoles('role-other') });
+  assert.match(refusal(refused), /don't have a role that is allowed/);
+  assert.equal(refused.replies[0].flags, 64);
+  assert.equal(github.state.requests.length, requests);
+
+  const allowed = await harness.command('list-issues', {}, { member: withRoles('role-triage') });
+  assert.equal(refusal(allowed), undefined);
+  assert.ok(allowed.replyMessage);
+});
+
+test('channel deny rules cover the threads inside the channel', async () => {
+  const { client, channel } = harness;
+  await configStore.set(channel.guildId, null, 'commandRules', [
+    { command: 'list-issues', effect: 'deny', type: 'channel', id: channel.id }
+  ]);
+  const thread = new FakeChannel(client, { type: ChannelType.PublicThread, parentId: channel.id });
+
+  for (const inChannel of [channel, thread]) {
+    const refused = await harness.command('list-issues', {}, { in: inChannel });
+    assert.match(refusal(refused), /`\/list-issues` isn't available to you in this channel/);
+  }
+});
+
+test('allow rules limit a command to the roles they name', async () => {
+  const { channel } = harness;
+  await configStore.set(channel.guildId, null, 'commandRules', [
+    { command: '*', effect: 'allow', type: 'role', id: 'role-maintainer' }
+  ]);
+
+  const refused = await harness.command('list-issues', {}, { member: withRoles('role-other') });
+  assert.match(refusal(refused), /`\/list-issues` is limited to specific roles or channels/);
+
+  const allowed = await harness.command('list-issues', {}, { member: withRoles('role-maintainer') });
+  assert.equal(refusal(allowed), undefined);
+});
+
+test('commands that spend generations stop at the daily quota', async () => {
+  const { channel, user } = harness;
+  await configStore.set(channel.guildId, null, 'quotas', { userGenerations: 2 });
+  await usageStore.record({ guildId: channel.guildId, userId: user.id }, { generations: 2 });
+
+  const refused = await harness.command('ask', { question: 'What is in Backlog?' });
+  assert.match(refusal(refused), /reached your daily limit of 2 AI generations/);
+
+  // Commands that don't generate anything aren't counted
+  const listed = await harness.command('list-issues');
+  assert.equal(refusal(listed), undefined);
+});
+
+test('restricted commands are refused in DMs, where no server rules or quotas apply', async () => {
+  const { client, llm } = harness;
+  const dm = new FakeChannel(client, { type: ChannelType.DM, guildId: null });
+  const requests = llm.requests.length;
+
+  const refused = await harness.command('create-issue', {}, { in: dm });
+  assert.match(refusal(refused), /`\/create-issue` only works in a server/);
+  assert.equal(dm.messageCollectors.length, 0);
+
+  const ask = await harness.command('ask', { question: 'What is in Backlog?' }, { in: dm });
+  assert.match(refusal(ask), /`\/ask` only works in a server/);
+  assert.equal(llm.requests.length, requests);
+});
@@ -0,0 +1,88 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL ||= 'error';
+
+const statusField = {
+  options: [
+    { id: 'todo', name: 'Todo' },
+    { id: 'backlog', name: 'Backlog' },
+    { id: 'done', name: 'Done' }
+  ]
+};
+
+const item = (title, status, { labels = [], assignees = [], milestone = null } = {}) => ({
+  fieldValueByName: status && { name: status, optionId: statusField.options.find(o => o.name === status)?.id },
+  content: {
+    title,
+    labels: { nodes: labels.map(name => ({ name })) },
+    assignees: { nodes: assignees.map(login => ({ login })) },
+    milestone: milestone && { title: milestone }
+  }
+});
+
+const items = [
+  item('first todo', 'Todo', { labels: ['bug'], assignees: ['Octocat'] }),
+  item('first backlog', 'Backlog', { milestone: 'v1.2' }),
+  item('done', 'Done'),
+  item('no status', null),
+  item('second todo', 'Todo', { milestone: 'v1.2' }),
+  item('second backlog', 'Backlog', { labels: ['Bug'] })
+];
+
+let processProjectItems, queryProjectItems, formatBoardQuery, describeExtraConditions;
+before(async () => {
+  ({ processProjectItems, queryProjectItems, formatBoardQuery, describeExtraConditions } = await import('../src/utils/github-utils.js'));
+});
+
+const titles = (filters) => processProjectItems(items, statusField, filters).map(i => i.content.title);
+
+test('backlog items come first, each group keeping board order', () => {
+  assert.deepEqual(titles(), ['first backlog', 'second backlog', 'first todo', 'second todo']);
+});
+
+test('done and status-less items are hidden', () => {
+  assert.ok(!titles().includes('done'));
+  assert.ok(!titles().includes('no status'));
+});
+
+test('asking for a status shows that column, including Done', () => {
+  assert.deepEqual(titles({ status: 'done' }), ['done']);
+  assert.deepEqual(titles({ status: 'Backlog' }), ['first backlog', 'second backlog']);
+});
+
+test('label, assignee and milestone filters ignore case and a leading @', () => {
+  assert.deepEqual(titles({ label: 'bug' }), ['second backlog', 'first todo']);
+  assert.deepEqual(titles({ assignee: '@octocat' }), ['first todo']);
+  assert.deepEqual(titles({ milestone: 'V1.2' }), ['first backlog', 'second todo']);
+  assert.deepEqual(titles({ label: 'bug', milestone: 'v1.2' }), []);
+});
+
+test('/ask queries combine conditions, search bodies and measure time in a column', () => {
+  const now = Date.parse('2024-05-15T12:00:00Z');
+  const board = [
+    { ...item('slow search', 'Backlog', { labels: ['bug'] }), createdAt: '2024-04-01T00:00:00Z' },
+    { ...item('crash', 'Todo', { labels: ['Bug'], assignees: ['octocat'] }), createdAt: '2024-05-14T00:00:00Z' },
+    { ...item('old crash', 'Done', { labels: ['bug'] }), createdAt: '2024-03-01T00:00:00Z' }
+  ];
+  board[0].content.body = 'Typing in the search box lags';
+  board[2].content.state = 'CLOSED';
+
+  const query = fields => ({
+    statuses: [], assignees: [], unassigned: false, labels: [], milestone: null,
+    keywords: [], state: 'open', minDaysInStatus: null, explanation: '', ...fields
+  });
+  const matching = fields => queryProjectItems(board, query(fields), { now }).map(i => i.content.title);
+
+  assert.deepEqual(matching({ labels: ['BUG'] }), ['slow search', 'crash']);
+  assert.deepEqual(matching({ labels: ['bug'], state: 'all' }), ['slow search', 'crash', 'old crash']);
+  assert.deepEqual(matching({ keywords: ['LAGS'] }), ['slow search']);
+  assert.deepEqual(matching({ unassigned: true, statuses: ['backlog', 'todo'] }), ['slow search']);
+  assert.deepEqual(matching({ minDaysInStatus: 14 }), ['slow search']);
+
+  // Only qualifiers board views understand go in the filter; the rest is spelled out
+  const mixed = query({ statuses: ['In Progress', 'Todo'], assignees: ['octocat'], labels: ['bug'], keywords: ['slow', 'lag'], minDaysInStatus: 14 });
+  assert.equal(formatBoardQuery(mixed), 'is:open status:"In Progress",Todo assignee:octocat label:bug');
+  assert.deepEqual(describeExtraConditions(mixed), ['title or body mentions "slow" or "lag"', 'in its column for 14+ days']);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeUser } from './fakes/discord.js';
+import { startHarness, waitFor, lastThread } from './helpers/harness.js';
+import { draft } from './helpers/drafts.js';
+
+let harness;
+before(async () => {
+  harness = await startHarness();
+  const { configStore } = await import('../src/utils/config-store.js');
+  const { startReactionCapture } = await import('../src/flows/reaction-capture.js');
+  await configStore.set(harness.channel.guildId, harness.channel.id, 'reactionTriggers', [
+    { emoji: '🐛', key: '🐛', template: 'Bug' }
+  ]);
+  startReactionCapture(harness.client);
+});
+after(() => harness.close());
+
+// Members who can manage messages may triage when no triage roles are configured
+const moderator = { roles: { cache: new Map() }, permissionsIn: () => ({ has: () => true }) };
+
+async function postReport(content) {
+  const report = await harness.channel.say(fakeUser({ username: 'member' }), content);
+  report.guild = { id: report.guildId, members: { fetch: async () => moderator } };
+  return report;
+}
+
+// Reaction events are handled in the background; a short pause lets an ignored one finish
+async function react(report, user) {
+  harness.client.emit('messageReactionAdd', { partial: false, emoji: { id: null, name: '🐛' }, message: report }, user);
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+async function preview(thread) {
+  const message = await waitFor(() => thread?.sent.find(m => m.content?.startsWith('Edit, revise or drop drafts')));
+  await waitFor(() => thread.componentCollectors.length);
+  return message;
+}
+
+test('a reacted message stays locked until its draft is filed', async () => {
+  const { llm, client, channel, github } = harness;
+  const [first, second] = [fakeUser({ username: 'mod-one' }), fakeUser({ username: 'mod-two' })];
+  const report = await postReport('Uploads over 10 MB fail silently');
+  llm.respond({ issues: [draft('Large uploads fail silently')] });
+
+  await react(report, first);
+  const thread = lastThread(client, channel);
+  const previewMessage = await preview(thread);
+  const requests = llm.requests.length;
+
+  // The preview is up but nothing is filed yet; a second moderator's reaction is ignored
+  await react(report, second);
+  assert.equal(llm.requests.length, requests);
+  assert.equal(lastThread(client, channel), thread);
+
+  const click = await thread.click(first, previewMessage, 'confirm_issues');
+  await waitFor(() => click.deferred);
+  await waitFor(() => report.reactions.cache.get('✅')?.me);
+  assert.equal(github.state.issues.at(-1).title, 'Large uploads fail silently');
+
+  await react(report, second);
+  assert.equal(llm.requests.length, requests);
+});
+
+test('a cancelled draft frees the message for another reaction', async () => {
+  const { llm, client, channel } = harness;
+  const mod = fakeUser({ username: 'mod-three' });
+  const report = await postReport('The calendar shows the wrong week');
+  llm.respond({ issues: [draft('Calendar shows the wrong week')] }, { issues: [draft('Calendar starts on the wrong day')] });
+
+  await react(report, mod);
+  const thread = lastThread(client, channel);
+  const click = await thread.click(mod, await preview(thread), 'cancel_issues');
+  await waitFor(() => click.deferred || click.replied);
+  await waitFor(() => thread.sent.find(m => m.content === '❌ Issue creation canceled'));
+
+  const requests = llm.requests.length;
+  await react(report, mod);
+  await waitFor(() => llm.requests.length > requests);
+});
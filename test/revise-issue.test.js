@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, waitFor, lastThread } from './helpers/harness.js';
+import { draft } from './helpers/drafts.js';
+
+let harness;
+let configStore;
+before(async () => {
+  harness = await startHarness();
+  ({ configStore } = await import('../src/utils/config-store.js'));
+  await configStore.set(harness.channel.guildId, harness.channel.id, 'repos', [
+    { repo: 'acme/widgets', description: 'The app' },
+    { repo: 'acme/api', description: 'The backend' }
+  ]);
+});
+after(() => harness.close());
+
+// Opens a preview for one draft and returns its thread and draft message
+async function previewDraft(generated) {
+  const { llm, client, channel, user } = harness;
+  llm.respond({ issues: [generated] });
+
+  await harness.command('create-issue', { preview: true });
+  const thread = lastThread(client, channel);
+  await thread.say(user, 'Saving twice creates two records');
+  await thread.say(user, '!done');
+
+  const preview = await waitFor(() => thread.sent.find(m => m.content?.startsWith('Edit, revise or drop drafts')));
+  await waitFor(() => thread.componentCollectors.length);
+  const draftMessage = thread.sent.find(m => JSON.stringify(m.components).includes('revise_issue:1'));
+  return { thread, preview, draftMessage };
+}
+
+async function revise(thread, draftMessage, revision, instructions = 'Make the title shorter') {
+  const { llm, user } = harness;
+  const requests = llm.requests.length;
+  llm.respond({ issues: [revision] });
+  await thread.click(user, draftMessage, 'revise_issue:1', { modalSubmit: { fields: { instructions } } });
+  await waitFor(() => llm.requests.length > requests);
+  await waitFor(() => JSON.stringify(draftMessage.embeds).includes(revision.title));
+  return llm.requests.at(-1);
+}
+
+async function confirm(thread, preview) {
+  const click = await thread.click(harness.user, preview, 'confirm_issues');
+  await waitFor(() => click.deferred);
+  await waitFor(() => thread.sent.find(m => m.content === 'Issues successfully created:'));
+}
+
+test('a revised draft stays in the repository picked for it', async () => {
+  const { github, user } = harness;
+  const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice', { repo: 'acme/widgets' }));
+
+  await thread.click(user, draftMessage, 'repo_issue:1', { values: ['acme/api'] });
+  // The model leaves the repo out of its revision
+  const request = await revise(thread, draftMessage, draft('Double save creates duplicates'));
+  assert.match(JSON.stringify(request), /\\"repo\\":\\"acme\/api\\"/);
+
+  await confirm(thread, preview);
+  const created = github.state.requests.filter(r => r.method === 'POST' && r.path.endsWith('/issues'));
+  assert.equal(created.at(-1).path, '/repos/acme/api/issues');
+  assert.equal(created.at(-1).body.title, 'Double save creates duplicates');
+});
+
+test('a revision keeps the draft\'s attachments when the model returns none', async () => {
+  const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice', { images: [1], files: [2] }));
+
+  const request = await revise(thread, draftMessage, draft('Double save creates duplicates'));
+  assert.match(JSON.stringify(request), /\\"images\\":\[1\],\\"files\\":\[2\]/);
+
+  const fields = Object.fromEntries(draftMessage.embeds[0].fields.map(field => [field.name, field.value]));
+  assert.equal(fields.Images, 'Image 1');
+  assert.equal(fields.Files, 'File 2');
+  await confirm(thread, preview);
+});
+
+test('a revision keeps the configured default labels', async () => {
+  const { github, channel } = harness;
+  await configStore.set(channel.guildId, channel.id, 'defaultLabels', ['enhancement']);
+
+  try {
+    const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice'));
+    await revise(thread, draftMessage, draft('Double save creates duplicates', { labels: [] }));
+    await confirm(thread, preview);
+
+    assert.deepEqual(github.state.issues.at(-1).labels.map(l => l.name), ['enhancement']);
+  } finally {
+    await configStore.unset(channel.guildId, channel.id, 'defaultLabels');
+  }
+});
+
+test('a revision keeps configured labels the repository doesn\'t have yet', async () => {
+  const { github, channel } = harness;
+  await configStore.set(channel.guildId, channel.id, 'defaultLabels', ['needs-triage']);
+
+  try {
+    const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice'));
+    // The model repeats the labels it was shown, configured ones included
+    await revise(thread, draftMessage, draft('Double save creates duplicates', { labels: ['needs-triage', 'bug'] }));
+    await confirm(thread, preview);
+
+    assert.deepEqual(github.state.issues.at(-1).labels.map(l => l.name), ['needs-triage', 'bug']);
+  } finally {
+    await configStore.unset(channel.guildId, channel.id, 'defaultLabels');
+  }
+});
+
+test('switching a draft\'s repository keeps the configured labels', async () => {
+  const { github, channel, user } = harness;
+  await configStore.set(channel.guildId, channel.id, 'defaultLabels', ['needs-triage']);
+
+  try {
+    const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice', { repo: 'acme/widgets' }));
+    await thread.click(user, draftMessage, 'repo_issue:1', { values: ['acme/api'] });
+    await waitFor(() => draftMessage.embeds[0].fields.some(field => field.name === 'Repository' && field.value === 'acme/api'));
+    await confirm(thread, preview);
+
+    const created = github.state.requests.filter(r => r.method === 'POST' && r.path.endsWith('/issues'));
+    assert.equal(created.at(-1).path, '/repos/acme/api/issues');
+    assert.deepEqual(created.at(-1).body.labels, ['needs-triage', 'bug']);
+  } finally {
+    await configStore.unset(channel.guildId, channel.id, 'defaultLabels');
+  }
+});
+
+test('a dismissed revise modal doesn\'t answer the next one', async () => {
+  const { llm, user } = harness;
+  const { thread, preview, draftMessage } = await previewDraft(draft('Save button submits the form twice'));
+
+  // The reporter closes the first modal without submitting it
+  const dismissed = await thread.click(user, draftMessage, 'revise_issue:1');
+  await waitFor(() => dismissed.modals.length);
+
+  const requests = llm.requests.length;
+  await revise(thread, draftMessage, draft('Double save creates duplicates'));
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(llm.requests.length, requests + 1);
+  assert.equal(thread.sent.filter(m => m.content?.startsWith('🔄 Revising issue #1')).length, 1);
+  await confirm(thread, preview);
+});